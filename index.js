@@ -1,6 +1,9 @@
 #!/usr/bin/env node
 import fs from "fs";
 import path from "path";
+import { parseArgs } from "util";
+import { execFile } from "child_process";
+import { fileURLToPath } from "url";
 import inquirer from "inquirer";
 import chalk from "chalk";
 import ora from "ora";
@@ -10,26 +13,199 @@ import sharp from "sharp";
 import fsExtra from "fs-extra";
 import OpenAI from "openai";
 import { GoogleGenerativeAI } from "@google/generative-ai";
+import Anthropic from "@anthropic-ai/sdk";
 
 // Configuration file path
 const configFilePath = path.join(process.cwd(), "image-metadata-config.json");
 
+// Directory holding one journal file per processing run
+const jobsDirPath = path.join(process.cwd(), "image-metadata-jobs");
+
+// File holding the statistics of every processing run
+const historyFilePath = path.join(process.cwd(), "image-metadata-history.json");
+
+// Prompt templates shipped with the tool, and the directory for your own
+const bundledTemplatesDirPath = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "templates",
+);
+const templatesDirPath = path.join(process.cwd(), "image-metadata-templates");
+
+// Agency category lists shipped with the tool, one <agency>.json file each
+const bundledCategoriesDirPath = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "categories",
+);
+
 // Default configuration
 const defaultConfig = {
   inputDir: "images/input", // default input directory
   outputDir: "images/output", // default output directory 
   maxTitleChars: 200,
+  minTitleChars: 150,
+  minTags: 25, // fewest keywords the default profile accepts
   maxTags: 45,
+  profile: "default", // metadata profile (see metadataProfiles)
+  customProfiles: {}, // user-defined metadata profiles, keyed by id
   gptApiKey: "",
   geminiApiKey: "",
+  claudeApiKey: "",
   aiModel: "gemini", // default AI model
   geminiModel: "gemini-1.5-flash", // default Gemini model
   gptModel: "gpt-4.1-nano", // default GPT model
 //   gptModel: "gpt-4-vision-preview", // default GPT model
+  claudeModel: "claude-haiku-4-5", // default Claude model
+  localBaseUrl: "http://localhost:11434", // default local endpoint (Ollama)
+  localApiType: "ollama", // "ollama" or "openai" (OpenAI-compatible)
+  localModel: "llava", // default local vision model
   showTokens: true, // default to showing token usage
-  delay: 10, // default delay between requests
+  delay: 10, // default delay in seconds between requests without a requests-per-minute limit
+  concurrency: 1, // images processed in parallel
+  gptRequestsPerMinute: 0, // 0 = no limit
+  geminiRequestsPerMinute: 0,
+  claudeRequestsPerMinute: 0,
+  localRequestsPerMinute: 0,
+  maxRetries: 3, // retries for rate-limited or failed AI requests
+  correctionRetries: 2, // follow-up requests when a reply breaks the profile rules
+  retryBaseDelay: 2, // seconds before the first retry, doubled on each attempt
+  originalsPolicy: "move", // "keep", "move" or "delete" originals after writing
+  archiveDir: "images/processed", // where originals are moved with the "move" policy
+  exportAgencies: [], // agency CSVs written to the output directory after each run
+  reviewBeforeWriting: false, // queue generated metadata for human review instead of writing it
+  sidecarFormat: "json", // "json" or "xmp" sidecars written by generate-only runs
+  sidecarDir: "", // where sidecars are kept, empty = next to the images
+  mergeStrategy: "replace", // how generated metadata is combined with what a file already has
+  skipTagged: true, // skip files that already carry a title and enough keywords
+  budgetLimit: 0, // maximum spend in USD per run, 0 = no cap
+  recursive: false, // also scan subfolders of the input directory
+  includePatterns: [], // glob patterns a file must match, empty = every image
+  excludePatterns: [], // glob patterns of files and folders to leave out
+  folderContext: false, // pass subfolder names (shoot, client) to the AI as hints
+  watchInterval: 5, // seconds between scans of the input directory in watch mode
+  watchSettleTime: 5, // seconds a new file must stay unchanged before it is processed
+  failedDir: "", // where watch mode moves failed files, empty = "failed" in the input directory
+  rawMetadataTarget: "sidecar", // "sidecar" (name.xmp next to the file) or "embed" for RAW files
+  videoMetadataTarget: "embed", // "embed" (XMP inside the MP4/MOV) or "sidecar" for videos
+  videoFrames: 4, // frames sampled from each video and sent to the AI together
+  ffmpegPath: "ffmpeg", // ffmpeg binary used to sample video frames
+  modelPrices: {}, // price overrides in USD per million tokens, e.g. { "gpt-4.1-mini": { "input": 0.4, "output": 1.6 } }
+  creator: "", // rights metadata written to every file
+  copyright: "",
+  creditLine: "",
+  contactEmail: "",
+  contactUrl: "",
+  fieldMapping: {}, // overrides of defaultFieldMapping, keyed by metadata field
+  promptTemplate: "default", // prompt template used by profiles that do not pick their own
+  language: "English", // language metadata is generated in
+  translations: [], // language codes (de, ja, es) the metadata is also translated into
+  keywordBlacklist: [], // words and phrases never kept in keywords
+  trademarks: [], // brand names added to the built-in trademark list
+  keywordSynonyms: {}, // variants replaced by a preferred keyword, e.g. { "automobile": "car" }
+  maxKeywordWords: 3, // keywords with more words are dropped, 0 = no limit
+  dedupeKeywordStems: true, // drop plural and possessive forms of keywords already listed (English)
+  rankKeywords: true, // move keywords that describe the title's subject to the front
+};
+
+// Metadata fields and the EXIF/IPTC/XMP tags each one is written to
+const defaultFieldMapping = {
+  title: ["XMP-dc:Title", "IPTC:ObjectName", "IPTC:Headline"],
+  description: [
+    "XMP-dc:Description",
+    "IPTC:Caption-Abstract",
+    "EXIF:ImageDescription",
+  ],
+  keywords: ["IPTC:Keywords", "XMP-dc:Subject"],
+  creator: ["XMP-dc:Creator", "IPTC:By-line", "EXIF:Artist"],
+  copyright: ["XMP-dc:Rights", "IPTC:CopyrightNotice", "EXIF:Copyright"],
+  credit: ["XMP-photoshop:Credit", "IPTC:Credit"],
+  contactEmail: ["XMP-iptcCore:CreatorWorkEmail"],
+  contactUrl: ["XMP-iptcCore:CreatorWorkURL"],
+};
+
+// Language-alternative XMP tags, which hold a translation per language next to the default
+const langAltTags = ["XMP-dc:Title", "XMP-dc:Description"];
+
+// XMP tags that keep agency categories (as agency:id) and release file names
+// with the image and in XMP sidecars
+const categoriesTag = "XMP-photoshop:SupplementalCategories";
+const releaseTags = {
+  model: "XMP-plus:ModelReleaseID",
+  property: "XMP-plus:PropertyReleaseID",
+};
+
+// What happens to an original image once its output is written
+const originalsPolicies = [
+  { name: "Keep originals in the input directory", value: "keep" },
+  { name: "Move originals to an archive directory", value: "move" },
+  { name: "Delete originals (after verifying the output)", value: "delete" },
+];
+
+// How generated metadata is combined with the metadata a file already has
+const mergeStrategies = [
+  {
+    name: "Replace existing title, description and keywords",
+    value: "replace",
+  },
+  {
+    name: "Keep existing text, append missing keywords",
+    value: "append",
+  },
+  { name: "Only fill empty fields", value: "fillEmpty" },
+];
+
+// Sidecar file formats for generate-only runs
+const sidecarFormats = [
+  { name: "JSON (easy to edit, diff and script)", value: "json" },
+  { name: "XMP (readable by Lightroom, Bridge and exiftool)", value: "xmp" },
+];
+
+// Content flags the AI reports for each image, keyed as in its reply
+const contentFlags = {
+  people: "people",
+  recognizable_faces: "recognizable faces",
+  logos_or_brands: "logos or brands",
+  property: "recognizable property",
+  editorial_suggested: "editorial suggested",
+  mature: "mature content",
 };
 
+// Supported file extensions for each kind of media
+const mediaFormats = {
+  image: [
+    ".jpg",
+    ".jpeg",
+    ".png",
+    ".gif",
+    ".webp",
+    ".tif",
+    ".tiff",
+    ".heic",
+    ".heif",
+  ],
+  raw: [
+    ".dng",
+    ".cr2",
+    ".cr3",
+    ".nef",
+    ".arw",
+    ".orf",
+    ".raf",
+    ".rw2",
+    ".pef",
+    ".srw",
+  ],
+  video: [".mp4", ".mov", ".m4v"],
+};
+
+// Where the metadata of RAW files and videos is written
+const metadataTargets = [
+  { name: "Embed in the file", value: "embed" },
+  {
+    name: "XMP sidecar next to the file (read by Lightroom, Bridge and agencies)",
+    value: "sidecar",
+  },
+];
+
 // Load or create configuration
 let config = defaultConfig;
 try {
@@ -54,16 +230,20 @@ function saveConfig() {
 }
 
 // Display welcome message
-console.log(
-  chalk.cyan(
-    figlet.textSync("Image Metadata CLI", {
-      font: "Standard",
-      horizontalLayout: "default",
-      verticalLayout: "default",
-    }),
-  ),
-);
-console.log(chalk.yellow("Generate metadata for your stock images using AI\n"));
+function displayWelcome() {
+  console.log(
+    chalk.cyan(
+      figlet.textSync("Image Metadata CLI", {
+        font: "Standard",
+        horizontalLayout: "default",
+        verticalLayout: "default",
+      }),
+    ),
+  );
+  console.log(
+    chalk.yellow("Generate metadata for your stock images using AI\n"),
+  );
+}
 
 // Function to display current configuration
 function displayCurrentConfig() {
@@ -80,33 +260,150 @@ function displayCurrentConfig() {
   console.log(chalk.cyan(`Input Directory:   ${inputStatus}`));
   console.log(chalk.cyan(`Output Directory:  ${outputStatus}`));
   console.log(
-    chalk.cyan(`Max Title Chars:   ${chalk.green(config.maxTitleChars)}`),
+    chalk.cyan(`Scanning:          ${chalk.green(describeScanning())}`),
   );
-  console.log(chalk.cyan(`Max Tags:          ${chalk.green(config.maxTags)}`));
+  let profileStatus;
+  try {
+    profileStatus = chalk.green(describeProfile(getActiveProfile()));
+  } catch (error) {
+    profileStatus = chalk.red(error.message);
+  }
+  console.log(chalk.cyan(`Metadata Profile:  ${profileStatus}`));
+  const provider = providers[config.aiModel];
   console.log(
     chalk.cyan(
-      `AI Provider:       ${config.aiModel === "gpt" ? chalk.blue("OpenAI GPT") : chalk.green("Google Gemini")}`,
+      `AI Provider:       ${provider ? chalk.green(provider.name) : chalk.yellow("Not set")}`,
     ),
   );
-  const modelName =
-    config.aiModel === "gpt" ? config.gptModel : config.geminiModel;
+  const modelName = provider ? getProviderModel(provider) : "";
   console.log(chalk.cyan(`AI Model:          ${chalk.magenta(modelName)}`));
+  if (config.aiModel === "local") {
+    console.log(
+      chalk.cyan(
+        `Local Endpoint:    ${chalk.green(config.localBaseUrl)} (${config.localApiType === "openai" ? "OpenAI-compatible" : "Ollama"})`,
+      ),
+    );
+  }
+  console.log(
+    chalk.cyan(
+      `Budget Cap:        ${Number(config.budgetLimit) > 0 ? chalk.green(`${formatCost(Number(config.budgetLimit))} per run`) : chalk.yellow("None")}`,
+    ),
+  );
   console.log(
     chalk.cyan(
       `Show Token Usage:  ${config.showTokens ? chalk.green("Enabled") : chalk.yellow("Disabled")}`,
     ),
   );
+  console.log(
+    chalk.cyan(
+      `Review:            ${config.reviewBeforeWriting ? chalk.green("Before writing") : chalk.yellow("Disabled")}`,
+    ),
+  );
+  console.log(
+    chalk.cyan(
+      `Creator:           ${config.creator ? chalk.green(config.creator) : chalk.yellow("Not set")}`,
+    ),
+  );
+  console.log(
+    chalk.cyan(`Originals:         ${chalk.green(describeOriginalsPolicy())}`),
+  );
+  console.log(
+    chalk.cyan(`Sidecars:          ${chalk.green(describeSidecars())}`),
+  );
+  console.log(
+    chalk.cyan(`RAW and Video:     ${chalk.green(describeMediaHandling())}`),
+  );
+  console.log(
+    chalk.cyan(`Existing Metadata: ${chalk.green(describeMergeStrategy())}`),
+  );
+  console.log(
+    chalk.cyan(`Keyword Cleanup:   ${chalk.green(describeKeywordCleanup())}`),
+  );
   console.log(
     chalk.cyan(
       `Request Delay:     ${config.delay > 0 ? chalk.green(`${config.delay} seconds`) : chalk.yellow("Disabled")}`,
     ),
   );
+  const requestsPerMinute = provider
+    ? getProviderRequestsPerMinute(provider)
+    : 0;
+  console.log(
+    chalk.cyan(
+      `Throttling:        ${chalk.green(`${config.concurrency} parallel`)}, ${requestsPerMinute > 0 ? chalk.green(`${requestsPerMinute} requests/min`) : chalk.yellow("no rate limit")}, ${chalk.green(`${config.maxRetries} retries`)}`,
+    ),
+  );
   console.log(
     chalk.cyan.bold("─────────────────────────────────────────────────────"),
   );
   console.log("");
 }
 
+// Describe the originals policy for display
+function describeOriginalsPolicy() {
+  switch (config.originalsPolicy) {
+    case "delete":
+      return "Delete after verifying output";
+    case "move":
+      return `Move to ${config.archiveDir}`;
+    default:
+      return "Keep";
+  }
+}
+
+// Describe the existing metadata handling for display
+function describeMergeStrategy() {
+  const strategy = mergeStrategies.find(
+    (option) => option.value === config.mergeStrategy,
+  );
+  return `${strategy ? strategy.name : config.mergeStrategy}${config.skipTagged ? ", skip fully tagged files" : ""}`;
+}
+
+// Describe the keyword cleanup settings for display
+function describeKeywordCleanup() {
+  const parts = [
+    `${trademarkTerms.length + config.trademarks.length} trademarks`,
+  ];
+  if (config.keywordBlacklist.length > 0) {
+    parts.push(`${config.keywordBlacklist.length} blacklisted`);
+  }
+  const synonyms = Object.keys(config.keywordSynonyms).length;
+  if (synonyms > 0) {
+    parts.push(`${synonyms} ${synonyms === 1 ? "synonym" : "synonyms"}`);
+  }
+  if (Number(config.maxKeywordWords) > 0) {
+    parts.push(`max ${config.maxKeywordWords} words`);
+  }
+  if (config.dedupeKeywordStems) parts.push("plural dedupe");
+  if (config.rankKeywords) parts.push("ranked");
+  return parts.join(", ");
+}
+
+// Describe the input scanning settings for display
+function describeScanning() {
+  const parts = [config.recursive ? "Subfolders" : "Top folder only"];
+  if (config.includePatterns.length > 0) {
+    parts.push(`include ${config.includePatterns.join(", ")}`);
+  }
+  if (config.excludePatterns.length > 0) {
+    parts.push(`exclude ${config.excludePatterns.join(", ")}`);
+  }
+  if (config.recursive && config.folderContext) {
+    parts.push("folder names as hints");
+  }
+  return parts.join("; ");
+}
+
+// Describe the sidecar settings for display
+function describeSidecars() {
+  return `${config.sidecarFormat.toUpperCase()} ${config.sidecarDir ? `in ${config.sidecarDir}` : "next to the images"}`;
+}
+
+// Describe where RAW and video metadata goes
+function describeMediaHandling() {
+  const target = (value) => (value === "sidecar" ? "XMP sidecar" : "embedded");
+  return `RAW ${target(config.rawMetadataTarget)}, video ${target(config.videoMetadataTarget)} (${config.videoFrames} frames sent to the AI)`;
+}
+
 // Utility function to check if directory exists
 const directoryExists = (dirPath) => {
   try {
@@ -123,1103 +420,7413 @@ const validateDirectory = (dirPath) => {
   return true;
 };
 
-// Function to compress image
+// Start a spinner for an image. Parallel workers cannot share an animated
+// spinner, so they print plain status lines tagged with the file name instead.
+function startSpinner(text, imagePath) {
+  if (config.concurrency > 1) {
+    return ora({
+      text,
+      prefixText: chalk.gray(`[${path.basename(imagePath)}]`),
+      isEnabled: false,
+    }).start();
+  }
+  return ora(text).start();
+}
+
+// Embedded JPEG previews, tried in order when sharp cannot decode a file
+const previewTags = ["PreviewImage", "JpgFromRaw", "ThumbnailImage"];
+
+// Function to compress image. RAW files and formats sharp cannot decode (such
+// as HEVC-encoded HEIC) fall back to the JPEG preview embedded in the file.
 async function compressImage(imagePath) {
-  try {
-    const tempFilePath = path.join(
-      path.dirname(imagePath),
-      `temp_${path.basename(imagePath)}`,
+  const sources = [
+    () => imagePath,
+    ...previewTags.map(
+      (tagName) => () => exiftool.extractBinaryTagToBuffer(tagName, imagePath),
+    ),
+  ];
+  // sharp reads only the small first page of TIFF-based RAW files, so try previews first
+  if (getMediaKind(imagePath) === "raw") sources.push(sources.shift());
+
+  let lastError;
+  for (const source of sources) {
+    try {
+      return await sharp(await source())
+        .resize(300) // Resize to max 300px on longest side
+        .jpeg({ quality: 80 }) // Compress quality
+        .toBuffer();
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw new Error(
+    `Could not read a preview of ${path.basename(imagePath)}: ${lastError.message}`,
+  );
+}
+
+// Run ffmpeg and return what it wrote to stdout
+function runFfmpeg(args) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      config.ffmpegPath || "ffmpeg",
+      args,
+      { encoding: "buffer", maxBuffer: 64 * 1024 * 1024 },
+      (error, stdout, stderr) => {
+        if (!error) {
+          resolve(stdout);
+        } else if (error.code === "ENOENT") {
+          reject(
+            new Error(
+              `ffmpeg not found at "${config.ffmpegPath}" (install it or set ffmpegPath)`,
+            ),
+          );
+        } else {
+          reject(
+            new Error(
+              `ffmpeg failed: ${stderr.toString().trim() || error.message}`,
+            ),
+          );
+        }
+      },
     );
+  });
+}
 
-    await sharp(imagePath)
-      .resize(300) // Resize to max 300px on longest side
-      .jpeg({ quality: 80 }) // Compress quality
-      .toFile(tempFilePath);
+// Sample evenly spaced frames from a video, compressed like images
+async function extractVideoFrames(videoPath) {
+  const { Duration } = await exiftool.read(videoPath);
+  const duration = Number(Duration) || 0;
+  const count = Math.max(1, parseInt(config.videoFrames) || 1);
 
-    return tempFilePath;
-  } catch (error) {
-    console.error(chalk.red(`Error compressing image: ${error.message}`));
-    return imagePath; // Return original if compression fails
+  const frames = [];
+  for (let i = 0; i < count; i++) {
+    // Take each frame from the middle of its slice, away from fades at the start and end
+    const time = (duration * (i + 0.5)) / count;
+    const frame = await runFfmpeg([
+      "-v",
+      "error",
+      "-ss",
+      time.toFixed(2),
+      "-i",
+      videoPath,
+      "-frames:v",
+      "1",
+      "-f",
+      "image2pipe",
+      "-vcodec",
+      "mjpeg",
+      "pipe:1",
+    ]);
+    if (frame.length > 0) {
+      frames.push(
+        await sharp(frame).resize(300).jpeg({ quality: 80 }).toBuffer(),
+      );
+    }
   }
+
+  if (frames.length === 0) {
+    throw new Error(`No frames could be read from ${path.basename(videoPath)}`);
+  }
+  return frames;
 }
 
-// Function to convert image to base64
-async function imageToBase64(imagePath) {
-  try {
-    const imageBuffer = await fs.promises.readFile(imagePath);
-    return imageBuffer.toString("base64");
-  } catch (error) {
-    console.error(
-      chalk.red(`Error converting image to base64: ${error.message}`),
+// Registered AI providers, keyed by the id stored in config.aiModel.
+// A provider describes its config fields and models (with their price in
+// USD per million input/output tokens, and structuredOutput when the model
+// can be held to a JSON schema), and implements
+// describeImage({ images, instruction, prompt, schema, model, apiKey }), which
+// sends the images (one photo, or the frames of a video, each { base64Image,
+// mimeType }) with the instruction and returns { text, tokenInfo } for the
+// raw model reply. `schema` is the JSON schema of the reply, or null when the
+// model has no structured output.
+const providers = {};
+
+// Register an AI provider
+function registerProvider(provider) {
+  providers[provider.id] = provider;
+}
+
+// Get a registered provider by id
+function getProvider(id) {
+  const provider = providers[id];
+  if (!provider) {
+    throw new Error(
+      `Unknown AI provider "${id}" (expected one of: ${Object.keys(providers).join(", ")})`,
     );
-    throw error;
   }
+  return provider;
 }
 
-// Function to generate metadata using GPT
-async function generateMetadataWithGPT(
-  imagePath,
-  apiKey,
-  maxTitleChars,
-  maxTags,
-) {
-  const spinner = ora("Generating metadata with GPT...").start();
+// Get the model selected for a provider
+function getProviderModel(provider) {
+  return config[provider.modelField];
+}
 
-  try {
-    const compressedImagePath = await compressImage(imagePath);
-    const base64Image = await imageToBase64(compressedImagePath);
+// Get the requests-per-minute limit for a provider (0 = no limit)
+function getProviderRequestsPerMinute(provider) {
+  return Number(config[provider.requestsPerMinuteField]) || 0;
+}
 
-    // Delete temp file if it was created
-    if (compressedImagePath !== imagePath) {
-      await fs.promises.unlink(compressedImagePath);
-    }
+// Get the API key saved for a provider
+function getProviderApiKey(provider) {
+  return provider.apiKeyField ? config[provider.apiKeyField] : "";
+}
+
+// Get the price of a model in USD per million tokens, or null when unknown
+function getModelPrice(provider, model) {
+  const override = config.modelPrices[model];
+  if (override) return override;
+  const entry = provider.models.find((option) => option.value === model);
+  return entry && entry.price ? entry.price : null;
+}
+
+// Cost in USD of one request, or null when the price or usage is unknown
+function calculateCost(tokenInfo, price) {
+  if (!tokenInfo || !price) return null;
+  return (
+    ((tokenInfo.prompt || 0) * price.input +
+      (tokenInfo.completion || 0) * price.output) /
+    1000000
+  );
+}
+
+// Format a USD amount, with more precision for the small per-image costs
+function formatCost(cost) {
+  if (cost === null || cost === undefined) return "unknown";
+  if (cost === 0) return "$0.00";
+  if (cost < 0.000001) return "< $0.000001";
+  return `$${cost.toFixed(cost >= 1 ? 2 : cost >= 0.01 ? 4 : 6)}`;
+}
+
+// Describe an image through an OpenAI-compatible chat completions API
+async function describeImageWithChatCompletions(
+  openai,
+  { images, instruction, prompt, schema, model, reasoning = false },
+) {
+  const response = await openai.chat.completions.create({
+    model,
+    ...(schema
+      ? {
+          response_format: {
+            type: "json_schema",
+            json_schema: { name: "stock_metadata", strict: true, schema },
+          },
+        }
+      : {}),
+    messages: [
+      {
+        role: "system",
+        content: prompt,
+      },
+      {
+        role: "user",
+        content: [
+          ...images.map(({ base64Image, mimeType }) => ({
+            type: "image_url",
+            image_url: {
+              url: `data:${mimeType};base64,${base64Image}`,
+            },
+          })),
+          {
+            type: "text",
+            text: instruction,
+          },
+        ],
+      },
+    ],
+    // Reasoning models reject max_tokens and custom sampling, and their
+    // reasoning tokens count toward the completion limit
+    ...(reasoning
+      ? { max_completion_tokens: 4000 }
+      : {
+          max_tokens: 1000,
+          temperature: 0.3, // Lower temperature for more consistent results
+          top_p: 0.8, // Diverse but focused output
+        }),
+  });
+
+  return {
+    text: response.choices[0].message.content,
+    tokenInfo: response.usage && {
+      prompt: response.usage.prompt_tokens,
+      completion: response.usage.completion_tokens,
+      total: response.usage.total_tokens,
+    },
+  };
+}
 
+registerProvider({
+  id: "gpt",
+  name: "OpenAI GPT",
+  shortName: "GPT",
+  apiKeyField: "gptApiKey",
+  modelField: "gptModel",
+  requestsPerMinuteField: "gptRequestsPerMinute",
+  models: [
+    {
+      name: "GPT-4 Vision",
+      value: "gpt-4-vision-preview",
+      price: { input: 10, output: 30 },
+    },
+    {
+      name: "GPT-4.1-mini",
+      value: "gpt-4.1-mini",
+      price: { input: 0.4, output: 1.6 },
+      structuredOutput: true,
+    },
+    {
+      name: "GPT-4.1-nano",
+      value: "gpt-4.1-nano",
+      price: { input: 0.1, output: 0.4 },
+      structuredOutput: true,
+    },
+    {
+      name: "o4-mini",
+      value: "o4-mini",
+      price: { input: 1.1, output: 4.4 },
+      structuredOutput: true,
+    },
+  ],
+  async describeImage({ images, instruction, prompt, schema, model, apiKey }) {
     // Initialize OpenAI client with API key
     const openai = new OpenAI({
       apiKey: apiKey,
+      maxRetries: 0,
     });
 
-    const response = await openai.chat.completions.create({
-      model: config.gptModel,
-      messages: [
-        {
-          role: "system",
-          content: `Generate stock image metadata. Return in this exact format:
-{"title": "EXACTLY IN RANGE OF 150 chars (no LESS than that since its CRITICAL) UNTIL ${maxTitleChars} chars (no MORE than that since its CRITICAL) commercial title",
-"tags": [EXACTLY ${maxTags} unique commercial keywords]}
+    return describeImageWithChatCompletions(openai, {
+      images,
+      instruction,
+      prompt,
+      schema,
+      model,
+      // o-series models (o1, o3, o4-mini, ...) are reasoning models
+      reasoning: /^o\d/.test(model),
+    });
+  },
+});
 
-Important: Title MUST BE IN RANGE of 150 chars (no LESS than that since its CRITICAL) UNTIL ${maxTitleChars} chars (no MORE than that since its CRITICAL), Tags MUST BE EXACTLY ${maxTags} keywords (no more, no less), DONT USE SYMBOL OR PUNCTUATION MARKS`,
-        },
+registerProvider({
+  id: "gemini",
+  name: "Google Gemini",
+  shortName: "Gemini",
+  apiKeyField: "geminiApiKey",
+  modelField: "geminiModel",
+  requestsPerMinuteField: "geminiRequestsPerMinute",
+  models: [
+    {
+      name: "Gemini 2.5 Pro",
+      value: "gemini-2.5-pro",
+      price: { input: 1.25, output: 10 },
+      structuredOutput: true,
+    },
+    {
+      name: "Gemini 2.5 Flash",
+      value: "gemini-2.5-flash",
+      price: { input: 0.3, output: 2.5 },
+      structuredOutput: true,
+    },
+    {
+      name: "Gemini 2.0 Flash",
+      value: "gemini-2.0-flash",
+      price: { input: 0.1, output: 0.4 },
+      structuredOutput: true,
+    },
+    {
+      name: "Gemini 1.5 Flash",
+      value: "gemini-1.5-flash",
+      price: { input: 0.075, output: 0.3 },
+      structuredOutput: true,
+    },
+    {
+      name: "Gemini 1.5 Pro",
+      value: "gemini-1.5-pro",
+      price: { input: 1.25, output: 5 },
+      structuredOutput: true,
+    },
+  ],
+  async describeImage({ images, instruction, prompt, schema, model, apiKey }) {
+    // Initialize Gemini API
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const generativeModel = genAI.getGenerativeModel({
+      model,
+      generationConfig: {
+        temperature: 0.8, // Lower temperature for more consistent results
+        topP: 0.8, // Diverse but focused output
+        ...(schema
+          ? {
+              responseMimeType: "application/json",
+              responseSchema: toGeminiSchema(schema),
+            }
+          : {}),
+      },
+    });
+
+    const imageParts = images.map(({ base64Image, mimeType }) => ({
+      inlineData: {
+        data: base64Image,
+        mimeType,
+      },
+    }));
+
+    const result = await generativeModel.generateContent([
+      prompt,
+      ...imageParts,
+      instruction,
+    ]);
+    const response = result.response;
+    const usage = response.usageMetadata;
+
+    return {
+      text: response.text(),
+      tokenInfo: usage && {
+        prompt: usage.promptTokenCount || 0,
+        completion: usage.candidatesTokenCount || 0,
+        total: usage.totalTokenCount || 0,
+      },
+    };
+  },
+});
+
+registerProvider({
+  id: "claude",
+  name: "Anthropic Claude",
+  shortName: "Claude",
+  apiKeyField: "claudeApiKey",
+  modelField: "claudeModel",
+  requestsPerMinuteField: "claudeRequestsPerMinute",
+  models: [
+    {
+      name: "Claude Opus 4.1",
+      value: "claude-opus-4-1",
+      price: { input: 15, output: 75 },
+      structuredOutput: true,
+    },
+    {
+      name: "Claude Sonnet 4.5",
+      value: "claude-sonnet-4-5",
+      price: { input: 3, output: 15 },
+      structuredOutput: true,
+    },
+    {
+      name: "Claude Haiku 4.5",
+      value: "claude-haiku-4-5",
+      price: { input: 1, output: 5 },
+      structuredOutput: true,
+    },
+    {
+      name: "Claude 3.5 Haiku",
+      value: "claude-3-5-haiku-latest",
+      price: { input: 0.8, output: 4 },
+    },
+  ],
+  async describeImage({ images, instruction, prompt, schema, model, apiKey }) {
+    // Initialize Anthropic client with API key
+    const anthropic = new Anthropic({
+      apiKey: apiKey,
+      maxRetries: 0,
+    });
+
+    const response = await anthropic.messages.create({
+      model,
+      system: prompt,
+      messages: [
         {
           role: "user",
           content: [
-            {
-              type: "image_url",
-              image_url: {
-                url: `data:image/jpeg;base64,${base64Image}`,
+            ...images.map(({ base64Image, mimeType }) => ({
+              type: "image",
+              source: {
+                type: "base64",
+                media_type: mimeType,
+                data: base64Image,
               },
-            },
+            })),
             {
               type: "text",
-              text: "Generate stock photo metadata for this image.",
+              text: instruction,
             },
           ],
         },
       ],
       max_tokens: 1000,
       temperature: 0.3, // Lower temperature for more consistent results
-      top_p: 0.8, // Diverse but focused output
+      ...(schema
+        ? { output_config: { format: { type: "json_schema", schema } } }
+        : {}),
     });
 
-    const metadataText = response.choices[0].message.content;
-    const tokensUsed = {
-      prompt: response.usage.prompt_tokens,
-      completion: response.usage.completion_tokens,
-      total: response.usage.total_tokens,
-    };
-
-    // Extract JSON from the response
-    const jsonMatch =
-      metadataText.match(/```json\n([\s\S]*?)\n```/) ||
-      metadataText.match(/{[\s\S]*}/);
+    const usage = response.usage;
 
-    let metadata;
-    if (jsonMatch) {
-      metadata = JSON.parse(jsonMatch[1] || jsonMatch[0]);
-    } else {
-      try {
-        metadata = JSON.parse(metadataText);
-      } catch (e) {
-        throw new Error("Could not parse GPT response as JSON");
-      }
-    }
+    return {
+      text: response.content
+        .filter((block) => block.type === "text")
+        .map((block) => block.text)
+        .join(""),
+      tokenInfo: usage && {
+        prompt: usage.input_tokens,
+        completion: usage.output_tokens,
+        total: usage.input_tokens + usage.output_tokens,
+      },
+    };
+  },
+});
 
-    // Add token usage information to metadata
-    metadata.tokenInfo = tokensUsed;
+// Describe an image through the Ollama chat API
+async function describeImageWithOllama(
+  baseUrl,
+  { images, instruction, prompt, model },
+) {
+  const response = await fetch(`${baseUrl.replace(/\/+$/, "")}/api/chat`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      model,
+      stream: false,
+      format: "json",
+      messages: [
+        { role: "system", content: prompt },
+        {
+          role: "user",
+          content: instruction,
+          images: images.map(({ base64Image }) => base64Image),
+        },
+      ],
+      options: {
+        temperature: 0.3, // Lower temperature for more consistent results
+        top_p: 0.8, // Diverse but focused output
+      },
+    }),
+  });
 
-    spinner.succeed("Metadata generated successfully with GPT");
-    return metadata;
-  } catch (error) {
-    spinner.fail(`Failed to generate metadata with GPT: ${error.message}`);
+  if (!response.ok) {
+    const error = new Error(
+      `Ollama request failed (${response.status}): ${await response.text()}`,
+    );
+    error.status = response.status;
+    error.headers = response.headers;
     throw error;
   }
-}
 
-// Function to generate metadata using Gemini
-async function generateMetadataWithGemini(
-  imagePath,
-  apiKey,
-  maxTitleChars,
-  maxTags,
-) {
-  const spinner = ora("Generating metadata with Gemini...").start();
+  const result = await response.json();
+  const promptTokens = result.prompt_eval_count || 0;
+  const completionTokens = result.eval_count || 0;
 
-  try {
-    const compressedImagePath = await compressImage(imagePath);
-    const base64Image = await imageToBase64(compressedImagePath);
+  return {
+    text: result.message.content,
+    tokenInfo: {
+      prompt: promptTokens,
+      completion: completionTokens,
+      total: promptTokens + completionTokens,
+    },
+  };
+}
+
+registerProvider({
+  id: "local",
+  name: "Local / self-hosted model",
+  shortName: "Local model",
+  apiKeyField: null, // local endpoints do not need an API key
+  modelField: "localModel",
+  requestsPerMinuteField: "localRequestsPerMinute",
+  models: [
+    { name: "LLaVA", value: "llava", price: { input: 0, output: 0 } },
+    { name: "LLaVA 13B", value: "llava:13b", price: { input: 0, output: 0 } },
+    {
+      name: "Llama 3.2 Vision",
+      value: "llama3.2-vision",
+      price: { input: 0, output: 0 },
+    },
+    { name: "Qwen2.5-VL", value: "qwen2.5vl", price: { input: 0, output: 0 } },
+    { name: "MiniCPM-V", value: "minicpm-v", price: { input: 0, output: 0 } },
+  ],
+  async describeImage({ images, instruction, prompt, model }) {
+    if (config.localApiType === "openai") {
+      // The OpenAI client requires a key even when the server ignores it
+      const openai = new OpenAI({
+        apiKey: "not-needed",
+        baseURL: config.localBaseUrl,
+        maxRetries: 0,
+      });
 
-    // Delete temp file if it was created
-    if (compressedImagePath !== imagePath) {
-      await fs.promises.unlink(compressedImagePath);
+      return describeImageWithChatCompletions(openai, {
+        images,
+        instruction,
+        prompt,
+        model,
+      });
     }
 
-    // Initialize Gemini API
-    const genAI = new GoogleGenerativeAI(apiKey);
-    const model = genAI.getGenerativeModel({
-      model: config.geminiModel,
-      generationConfig: {
-        temperature: 0.8, // Lower temperature for more consistent results
-        topP: 0.8, // Diverse but focused output
-      },
+    return describeImageWithOllama(config.localBaseUrl, {
+      images,
+      instruction,
+      prompt,
+      model,
     });
+  },
+});
 
-    const prompt = `You are a generator of stock image metadata. Follow these rules EXACTLY:
+// Wait for the given number of milliseconds
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
 
-    1. Output format MUST be valid JSON:
-    {
-      "title": "Your generated title here",
-      "tags": ["tag1", "tag2", ..., "tag${maxTags}"]
-    }
-    2. "title" MUST be EXACTLY ${maxTitleChars} characters long — including spaces. This is NON-NEGOTIABLE.
-       - Write a commercial friendly title, fluent sentence that ends precisely at ${maxTitleChars} characters.
-    3. "tags" MUST contain EXACTLY ${maxTags} individual, relevant commercial keywords.
-       - No duplicates, no punctuation, no symbols, just clean lowercase words.
-    4. DO NOT return anything except the JSON object. No explanation. No extra output.
-    Repeat: This is a hard requirement. Output must be strictly ${maxTitleChars} characters in the title, and exactly ${maxTags} keywords.`;
+// Request slots per provider, shared by every worker of a run
+const rateLimiters = {};
 
-    // const imageBuffer = Buffer.from(base64Image, "base64");
+// Reserve the next request slot for a provider and return how long to wait for it.
+// Slots are spaced by the requests-per-minute limit, or by the request delay when
+// the provider has no limit, so parallel workers can use the whole limit.
+function reserveRequestSlot(provider) {
+  const requestsPerMinute = getProviderRequestsPerMinute(provider);
+  const interval =
+    requestsPerMinute > 0 ? 60000 / requestsPerMinute : config.delay * 1000;
+  const limiter = rateLimiters[provider.id] || { nextSlot: 0 };
+  const now = Date.now();
+  const slot = Math.max(now, limiter.nextSlot);
 
-    const imagePart = {
-      inlineData: {
-        data: base64Image,
-        mimeType: "image/jpeg",
-      },
-    };
+  limiter.nextSlot = slot + interval;
+  rateLimiters[provider.id] = limiter;
+  return slot - now;
+}
 
-    const result = await model.generateContent([prompt, imagePart]);
-    const response = result.response;
-    const metadataText = response.text();
+// Get the HTTP status of a failed AI request, if any
+function getErrorStatus(error) {
+  if (typeof error.status === "number") return error.status;
+  // The Gemini SDK only reports the status in its message
+  const match = /\[(\d{3})[ \]]/.exec(error.message || "");
+  return match ? Number(match[1]) : undefined;
+}
 
-    // Get token usage if available
-    let tokensUsed = null;
-    try {
-      if (response.usageMetadata) {
-        tokensUsed = {
-          prompt: response.usageMetadata.promptTokenCount || 0,
-          total: response.usageMetadata.totalTokenCount || 0,
-        };
-      }
-    } catch (e) {
-      console.log(chalk.yellow("Could not retrieve token usage information"));
-    }
+// Read the Retry-After header of a failed AI request in milliseconds
+function getRetryAfter(error) {
+  const headers = error.headers;
+  if (!headers) return null;
 
-    // Extract JSON from the response
-    const jsonMatch =
-      metadataText.match(/```json\n([\s\S]*?)\n```/) ||
-      metadataText.match(/{[\s\S]*}/);
+  const value =
+    typeof headers.get === "function"
+      ? headers.get("retry-after")
+      : headers["retry-after"];
+  if (!value) return null;
 
-    let metadata;
-    if (jsonMatch) {
-      metadata = JSON.parse(jsonMatch[1] || jsonMatch[0]);
-    } else {
-      try {
-        metadata = JSON.parse(metadataText);
-      } catch (e) {
-        throw new Error("Could not parse Gemini response as JSON");
-      }
-    }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
 
-    // Validate metadata
-    metadata = validateAndFixMetadata(metadata, maxTitleChars, maxTags);
+// Rate limits, server errors and dropped connections are worth retrying
+function isRetryableError(error) {
+  const status = getErrorStatus(error);
+  if (status !== undefined) return status === 429 || status >= 500;
+  return /fetch failed|network|socket hang up|ECONNRESET|ETIMEDOUT|ECONNREFUSED|Connection error/i.test(
+    error.message || "",
+  );
+}
 
-    // Add token usage information to metadata if available
-    if (tokensUsed) {
-      metadata.tokenInfo = tokensUsed;
+// Call a provider, respecting its rate limit and retrying transient errors with exponential backoff.
+// Provider clients are created with their own retries turned off (maxRetries: 0), so
+// every attempt is counted against the rate limit here.
+async function requestWithRetry(provider, spinner, request) {
+  const maxRetries = Number(config.maxRetries) || 0;
+
+  for (let attempt = 0; ; attempt++) {
+    const wait = reserveRequestSlot(provider);
+    if (wait > 0) {
+      spinner.text = `Waiting ${Math.ceil(wait / 1000)} seconds before next request...`;
+      await sleep(wait);
     }
+    spinner.text = `Generating metadata with ${provider.shortName}...`;
 
-    spinner.succeed("Metadata generated successfully with Gemini");
-    return metadata;
-  } catch (error) {
-    spinner.fail(`Failed to generate metadata with Gemini: ${error.message}`);
-    throw error;
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryableError(error)) {
+        throw error;
+      }
+
+      const backoff =
+        getRetryAfter(error) ?? config.retryBaseDelay * 1000 * 2 ** attempt;
+      spinner.warn(
+        `${provider.shortName} request failed (${error.message}), retrying in ${Math.ceil(backoff / 1000)} seconds (${attempt + 1}/${maxRetries})`,
+      );
+      spinner.start();
+      await sleep(backoff);
+    }
   }
 }
 
-// Function to write metadata to image
-async function writeMetadataToImage(imagePath, outputPath, metadata) {
-  const spinner = ora("Writing metadata to image...").start();
-
-  try {
-    // Create output directory if it doesn't exist
-    await fsExtra.ensureDir(path.dirname(outputPath));
-
-    // Copy image to output directory
-    await fsExtra.copy(imagePath, outputPath);
+// Built-in metadata profiles with each agency's limits and rules.
+// The "default" profile takes its limits from the metadata settings.
+const metadataProfiles = {
+  adobe: {
+    name: "Adobe Stock",
+    titleMinChars: 70,
+    titleMaxChars: 200,
+    keywordsMin: 25,
+    keywordsMax: 49,
+    forbiddenWords: ["stock", "photo", "image", "picture"],
+  },
+  shutterstock: {
+    name: "Shutterstock",
+    titleMinChars: 50,
+    titleMaxChars: 200,
+    keywordsMin: 7,
+    keywordsMax: 50,
+    forbiddenWords: ["stock", "royalty free"],
+  },
+  istock: {
+    name: "iStock",
+    titleMinChars: 20,
+    titleMaxChars: 100,
+    keywordsMin: 10,
+    keywordsMax: 50,
+    forbiddenWords: ["stock", "istock", "getty"],
+    descriptionMaxChars: 250,
+  },
+};
 
-    // Write metadata to image
-    await exiftool.write(
-      outputPath,
-      {
-        Title: metadata.title,
-        Description: metadata.title, // Use title as description
-        Keywords: metadata.tags,
-        Subject: metadata.tags.join(", "), // Use tags as subject
-      },
-      ["-overwrite_original"],
-    ); // Add flag to avoid creating backup files
+// Get every available profile, built-in and custom, keyed by id
+function listMetadataProfiles() {
+  return {
+    default: resolveMetadataProfile("default"),
+    ...Object.fromEntries(
+      Object.keys({ ...metadataProfiles, ...config.customProfiles }).map(
+        (id) => [id, resolveMetadataProfile(id)],
+      ),
+    ),
+  };
+}
 
-    // Delete original image if success write metadata to image
-    // await fs.promises.unlink(imagePath);
+// Get a metadata profile by id, with every field filled in
+function resolveMetadataProfile(id) {
+  const base = {
+    id: "default",
+    name: "Default",
+    titleMinChars: parseInt(config.minTitleChars),
+    titleMaxChars: parseInt(config.maxTitleChars),
+    keywordsMin: Math.min(parseInt(config.minTags), parseInt(config.maxTags)),
+    keywordsMax: parseInt(config.maxTags),
+    forbiddenWords: [],
+    description: true,
+    descriptionMaxChars: 200,
+    language: config.language || "English",
+    translations: config.translations || [],
+    promptTemplate: config.promptTemplate || "default",
+  };
+  if (id === "default") return base;
 
-    spinner.succeed("Metadata written successfully");
-    return true;
-  } catch (error) {
-    spinner.fail(`Failed to write metadata: ${error.message}`);
-    throw error;
-    // return false; // Return false to indicate failure
+  const profile = config.customProfiles[id] || metadataProfiles[id];
+  if (!profile) {
+    throw new Error(
+      `Unknown metadata profile "${id}" (expected one of: default, ${Object.keys({ ...metadataProfiles, ...config.customProfiles }).join(", ")})`,
+    );
   }
+  return {
+    ...base,
+    name: id,
+    ...profile,
+    id,
+    promptTemplate: profile.promptTemplate || base.promptTemplate,
+    translations: profile.translations || base.translations,
+  };
 }
 
-// Process all images in the input directory
-async function processAllImages(
-  inputDir,
-  outputDir,
-  aiModel,
-  apiKey,
-  maxTitleChars,
-  maxTags,
-) {
-  // Initialize statistics object
-  const stats = {
-    total: 0,
-    success: 0,
-    failed: 0,
-  };
+// Get the selected metadata profile
+function getActiveProfile() {
+  return resolveMetadataProfile(config.profile);
+}
 
-  try {
-    const files = await fs.promises.readdir(inputDir);
-    const imageFiles = files.filter((file) => {
-      const ext = path.extname(file).toLowerCase();
-      return [".jpg", ".jpeg", ".png", ".gif", ".webp"].includes(ext);
-    });
+// Describe a profile's limits in one line
+function describeProfile(profile) {
+  const keywords =
+    profile.keywordsMin === profile.keywordsMax
+      ? profile.keywordsMax
+      : `${profile.keywordsMin}-${profile.keywordsMax}`;
+  const translations = profile.translations || [];
+  return `${profile.name} (title ${profile.titleMinChars}-${profile.titleMaxChars} chars, ${keywords} keywords${profile.description ? ", description" : ""}, ${profile.language}${translations.length > 0 ? ` + ${translations.join(", ")}` : ""})`;
+}
 
-    stats.total = imageFiles.length;
+// Prompt templates by name: the bundled ones, overridden by same-named files in
+// the templates directory
+function listPromptTemplates() {
+  const templates = {};
+  [bundledTemplatesDirPath, templatesDirPath].forEach((dirPath) => {
+    if (!fs.existsSync(dirPath)) return;
+    fs.readdirSync(dirPath)
+      .filter((file) => file.endsWith(".txt"))
+      .forEach((file) => {
+        templates[path.basename(file, ".txt")] = path.join(dirPath, file);
+      });
+  });
+  return templates;
+}
 
-    if (imageFiles.length === 0) {
-      console.log(
-        chalk.yellow.bold(`\n─────────────── WARNING ────────────────`),
+// Load a prompt template and its optional few-shot examples (<name>.examples.json,
+// looked up in the templates directory first, then next to the template)
+function loadPromptTemplate(name) {
+  const templates = listPromptTemplates();
+  if (!templates[name]) {
+    throw new Error(
+      `Unknown prompt template "${name}" (expected one of: ${Object.keys(templates).join(", ")})`,
+    );
+  }
+
+  const examplesPath = [
+    path.join(templatesDirPath, `${name}.examples.json`),
+    path.join(path.dirname(templates[name]), `${name}.examples.json`),
+  ].find((filePath) => fs.existsSync(filePath));
+  let examples = [];
+  if (examplesPath) {
+    try {
+      examples = JSON.parse(fs.readFileSync(examplesPath, "utf8"));
+    } catch (error) {
+      throw new Error(
+        `Invalid examples file ${examplesPath}: ${error.message}`,
       );
-      console.log(chalk.yellow(`No image files found in the input directory.`));
-      console.log(
-        chalk.yellow.bold(`────────────────────────────────────────\n`),
+    }
+    if (
+      !Array.isArray(examples) ||
+      examples.some(
+        (example) =>
+          typeof example.title !== "string" || !Array.isArray(example.tags),
+      )
+    ) {
+      throw new Error(
+        `Examples file ${examplesPath} must be a list of { "title", "tags" } objects`,
       );
-      return;
     }
+  }
 
-    console.log(
-      chalk.blue.bold(`\n─────────────── PROCESSING IMAGES ─────────────────`),
+  return {
+    name,
+    path: templates[name],
+    text: fs.readFileSync(templates[name], "utf8"),
+    examples,
+    examplesPath,
+  };
+}
+
+// Get the prompt template a profile uses
+function getPromptTemplateName(profile) {
+  // Profiles saved in older job journals do not name a template
+  return profile.promptTemplate || config.promptTemplate || "default";
+}
+
+// Variables available to prompt templates for one file
+function buildPromptVariables(
+  profile,
+  { existing = null, folders = [], frames = 0, filename = "" } = {},
+  examples = [],
+) {
+  const context = [];
+  const existingLines = describeExistingMetadata(existing);
+  if (existingLines.length > 0) {
+    context.push(
+      `The image already carries this metadata from the photographer. Use it as context and keep every accurate detail (names, places, subjects) in your output:
+${existingLines.map((line) => `     - ${line}`).join("\n")}`,
     );
-    console.log(
-      chalk.blue(
-        `Found ${chalk.green(imageFiles.length)} image files to process.`,
-      ),
+  }
+  if (frames > 0) {
+    context.push(
+      `${frames > 1 ? `The ${frames} images are frames sampled in order` : "The image is a frame"} from one video clip. Describe the footage as a whole (subject, action, setting, camera movement if obvious), not the individual frames.`,
     );
-    console.log(
-      chalk.blue.bold(`───────────────────────────────────────────────────\n`),
+  }
+  if (folders.length > 0) {
+    context.push(
+      `The image was filed in the folder "${folders.join(" / ")}". Treat folder names as hints (shoot, client, place or event) and only use them when they match what the image shows.`,
     );
+  }
 
-    let successCount = 0;
-    let failCount = 0;
-
-    for (let i = 0; i < imageFiles.length; i++) {
-      const file = imageFiles[i];
-      const imagePath = path.join(inputDir, file);
-      const outputPath = path.join(outputDir, file);
+  return {
+    filename,
+    profile: profile.name,
+    minTitleChars: profile.titleMinChars,
+    maxTitleChars: profile.titleMaxChars,
+    minTags: profile.keywordsMin,
+    maxTags: profile.keywordsMax,
+    exactTags: profile.keywordsMin === profile.keywordsMax,
+    description: profile.description,
+    descriptionMaxChars: profile.descriptionMaxChars,
+    forbiddenWords: profile.forbiddenWords.join(", "),
+    categories: getCategoryAgencies()
+      .map((agencyId) => {
+        const list = categoryLists[agencyId];
+        return `   - "${agencyId}" (${list.name}, ${list.maxCategories === 1 ? "exactly 1 id" : `1 to ${list.maxCategories} ids`}): ${list.categories.map(({ id, name }) => (id === name ? `"${id}"` : `"${id}" ${name}`)).join(", ")}`;
+      })
+      .join("\n"),
+    language: profile.language,
+    translate: Boolean(profile.language && profile.language !== "English"),
+    existingTitle: existing ? existing.title : "",
+    existingDescription: existing ? existing.description : "",
+    existingKeywords: existing ? existing.tags.join(", ") : "",
+    existingLocation: existing ? existing.location : "",
+    folder: folders.join(" / "),
+    frames,
+    context: context.map((line) => `   - ${line}`).join("\n"),
+    examples: examples
+      .map(
+        (example, index) =>
+          `Example ${index + 1}${example.image ? ` (${example.image})` : ""}:
+${JSON.stringify({
+  title: example.title,
+  ...(example.description ? { description: example.description } : {}),
+  tags: example.tags,
+})}`,
+      )
+      .join("\n\n"),
+  };
+}
 
-      console.log(
-        chalk.cyan(`\nProcessing image ${i + 1}/${imageFiles.length}: ${file}`),
+// Render a prompt template. {{name}} inserts a variable, {{#name}}...{{/name}}
+// keeps its content only when the variable is set (true, non-zero, non-empty)
+// and {{^name}}...{{/name}} only when it is not.
+function renderPromptTemplate(template, variables) {
+  const check = (name) => {
+    if (!(name in variables)) {
+      throw new Error(
+        `Unknown variable {{${name}}} in prompt template "${template.name}"`,
       );
+    }
+  };
+
+  // Block tags alone on a line take the whole line with them
+  let text = template.text.replace(
+    /^[ \t]*(\{\{[#^/]\w+\}\})[ \t]*\r?\n/gm,
+    "$1",
+  );
+  // Innermost blocks first, so blocks can be nested
+  const block =
+    /\{\{([#^])(\w+)\}\}((?:(?!\{\{[#^]\w+\}\})[\s\S])*?)\{\{\/\2\}\}/g;
+  let previous;
+  do {
+    previous = text;
+    text = text.replace(block, (match, type, name, content) => {
+      check(name);
+      return Boolean(variables[name]) === (type === "#") ? content : "";
+    });
+  } while (text !== previous);
+
+  const unclosed = text.match(/\{\{[#^/]\w+\}\}/);
+  if (unclosed) {
+    throw new Error(
+      `Unmatched ${unclosed[0]} in prompt template "${template.name}"`,
+    );
+  }
+  return text
+    .replace(/\{\{(\w+)\}\}/g, (match, name) => {
+      check(name);
+      return String(variables[name]);
+    })
+    .trim();
+}
+
+// Build the metadata prompt sent to every provider from the profile's template
+function buildMetadataPrompt(profile, context = {}) {
+  const template = loadPromptTemplate(getPromptTemplateName(profile));
+  return renderPromptTemplate(
+    template,
+    buildPromptVariables(profile, context, template.examples),
+  );
+}
+
+// Summarize existing metadata as prompt context lines
+function describeExistingMetadata(existing) {
+  if (!existing) return [];
+  const lines = [];
+  if (existing.title) lines.push(`Title: ${existing.title}`);
+  if (existing.description && existing.description !== existing.title) {
+    lines.push(`Caption: ${existing.description}`);
+  }
+  if (existing.tags.length > 0) {
+    lines.push(`Keywords: ${existing.tags.join(", ")}`);
+  }
+  if (existing.location) lines.push(`Location: ${existing.location}`);
+  return lines;
+}
+
+// JSON schema of the reply a profile asks for, enforced by models with structured output
+function buildMetadataSchema(profile, { classification = true } = {}) {
+  const properties = { title: { type: "string" } };
+  if (profile.description) properties.description = { type: "string" };
+  properties.tags = { type: "array", items: { type: "string" } };
+  if (classification) {
+    properties.category = { type: "string" };
+    const categoryAgencies = getCategoryAgencies();
+    if (categoryAgencies.length > 0) {
+      properties.categories = {
+        type: "object",
+        properties: Object.fromEntries(
+          categoryAgencies.map((agencyId) => [
+            agencyId,
+            {
+              type: "array",
+              items: {
+                type: "string",
+                enum: categoryLists[agencyId].categories.map(({ id }) => id),
+              },
+            },
+          ]),
+        ),
+        required: categoryAgencies,
+        additionalProperties: false,
+      };
+    }
+    properties.flags = {
+      type: "object",
+      properties: Object.fromEntries(
+        Object.keys(contentFlags).map((flag) => [flag, { type: "boolean" }]),
+      ),
+      required: Object.keys(contentFlags),
+      additionalProperties: false,
+    };
+  }
+  return {
+    type: "object",
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false,
+  };
+}
+
+// Convert a JSON schema to the OpenAPI subset Gemini's responseSchema accepts
+function toGeminiSchema(schema) {
+  const converted = { type: schema.type.toUpperCase() };
+  // Gemini ignores enum values unless the string is marked as an enum
+  if (schema.enum) {
+    converted.format = "enum";
+    converted.enum = schema.enum;
+  }
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([name, property]) => [
+        name,
+        toGeminiSchema(property),
+      ]),
+    );
+    converted.required = schema.required;
+  }
+  return converted;
+}
 
+// Whether a provider's model can be held to a JSON schema
+function supportsStructuredOutput(provider, model) {
+  const entry = provider.models.find((candidate) => candidate.value === model);
+  return Boolean(entry && entry.structuredOutput);
+}
+
+// Extract the metadata JSON object from a model reply, tolerating code fences,
+// text around the object, trailing commas and typographic quotes.
+// Returns null when no object can be read.
+function parseMetadataResponse(metadataText) {
+  const fenced = metadataText.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const source = fenced ? fenced[1] : metadataText;
+  const start = source.indexOf("{");
+  const end = source.lastIndexOf("}");
+  const candidates = [
+    metadataText,
+    source,
+    ...(start >= 0 && end > start ? [source.slice(start, end + 1)] : []),
+  ];
+
+  for (const candidate of candidates) {
+    const cleaned = candidate
+      .replace(/[\u201C\u201D]/g, '"')
+      .replace(/,\s*([}\]])/g, "$1");
+    for (const text of [candidate, cleaned]) {
       try {
-        // Generate metadata using selected AI model
-        let metadata;
-        if (aiModel === "gpt") {
-          metadata = await generateMetadataWithGPT(
-            imagePath,
-            apiKey,
-            maxTitleChars,
-            maxTags,
-          );
-        } else {
-          metadata = await generateMetadataWithGemini(
-            imagePath,
-            apiKey,
-            maxTitleChars,
-            maxTags,
-          );
+        const parsed = JSON.parse(text);
+        if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+          return parsed;
         }
+      } catch (error) {
+        // Try the next candidate
+      }
+    }
+  }
+  return null;
+}
 
-        // Write metadata to image
-        const success = await writeMetadataToImage(
-          imagePath,
-          outputPath,
-          metadata,
-        );
+// Rules of the profile a parsed reply breaks, phrased for a corrective request
+function findMetadataViolations(reply, profile) {
+  const problems = [];
+  const title = typeof reply.title === "string" ? reply.title.trim() : "";
+  if (!title) {
+    problems.push(`"title" is missing`);
+  } else {
+    // Long titles are trimmed at a word boundary afterwards, so only ask for a new
+    // one when the trimmed title would still fail
+    const trimmed = trimTitle(title, profile);
+    problems.push(
+      ...findTitleProblems(
+        trimmed.length >= profile.titleMinChars ? trimmed : title,
+        profile,
+      ),
+    );
+  }
 
-        if (success) {
-          await fs.promises.unlink(imagePath); // Delete original image if metadata was written successfully
-          console.log(chalk.redBright(`✓ Original image deleted successfully`));
-        }
+  if (
+    profile.description &&
+    !(typeof reply.description === "string" && reply.description.trim())
+  ) {
+    problems.push(`"description" is missing`);
+  }
 
-        console.log(chalk.green(`✓ Processed: ${file}`));
-        console.log(
-          chalk.green(
-            `  Title: ${metadata.title} (${metadata.title.length} chars)`,
-          ),
+  // Categories are only checked when the reply has them, since a custom template
+  // may not ask for them
+  if (reply.categories !== undefined) {
+    const categories = validateCategories(reply.categories);
+    getCategoryAgencies()
+      .filter((agencyId) => !categories[agencyId])
+      .forEach((agencyId) => {
+        problems.push(
+          `"categories" has no valid ${categoryLists[agencyId].name} category, use ids from the "${agencyId}" list only`,
         );
-        console.log(chalk.green(`  Tags: ${metadata.tags.length} keywords`));
-        console.log(chalk.green(`  Tags: ${metadata.tags.join(", ")}`));
+      });
+  }
 
-        // Display token usage if available
-        if (config.showTokens && metadata.tokenInfo) {
-          console.log(chalk.blue.bold(`  Token usage:`));
-          Object.entries(metadata.tokenInfo).forEach(([key, value]) => {
-            console.log(chalk.blue(`    ├─ ${key}: ${chalk.yellow(value)}`));
-          });
-        }
+  // Count the distinct keywords the AI returned, before cleanup: keywords the
+  // blacklist or dedupe drops would be dropped again from any new reply
+  const keywordCount = new Set(
+    (Array.isArray(reply.tags) ? reply.tags : [])
+      .filter((tag) => typeof tag === "string")
+      .map((tag) => tag.trim().toLowerCase())
+      .filter(Boolean),
+  ).size;
+  if (keywordCount < profile.keywordsMin) {
+    problems.push(
+      `"tags" has ${keywordCount} keywords, it needs at least ${profile.keywordsMin}`,
+    );
+  }
+  return problems;
+}
 
-        // Provide feedback on title length
-        if (metadata.title.length < 100) {
-          console.log(
-            chalk.yellow(
-              `  ⚠️ Note: Title length (${metadata.title.length}) is shorter than recommended minimum (150 chars).`,
-            ),
-          );
-        }
+// Add one request's token usage to a running total
+function addTokenInfo(total, tokenInfo) {
+  if (!tokenInfo) return total;
+  const sum = { prompt: 0, completion: 0, total: 0, ...total };
+  Object.keys(sum).forEach((key) => {
+    sum[key] += tokenInfo[key] || 0;
+  });
+  return sum;
+}
 
-        successCount++;
-        stats.success++;
-      } catch (error) {
-        console.error(
-          chalk.red(`✗ Failed to process ${file}: ${error.message}`),
-        );
-        failCount++;
-        stats.failed++;
+// Send a request and parse its JSON reply, asking once for a repair when it cannot be read
+async function requestJsonReply(request, provider, spinner) {
+  const text = await request();
+  const reply = parseMetadataResponse(text);
+  if (reply) return reply;
+
+  spinner.warn(
+    `${provider.shortName} reply is not valid JSON, asking for a repair`,
+  );
+  spinner.start();
+  const repaired = parseMetadataResponse(
+    await request(
+      `Your previous reply was not valid JSON:\n${text}\n\nReturn only the corrected JSON object.`,
+    ),
+  );
+  if (!repaired) {
+    throw new Error(`Could not parse ${provider.shortName} response as JSON`);
+  }
+  return repaired;
+}
+
+// Function to generate metadata with the given AI provider
+async function generateMetadata(
+  imagePath,
+  provider,
+  apiKey,
+  profile,
+  model = getProviderModel(provider),
+  context = {},
+) {
+  const spinner = startSpinner(
+    `Generating metadata with ${provider.shortName}...`,
+    imagePath,
+  );
+
+  try {
+    // Videos are sent as a few sampled frames in a single request
+    const isVideo = getMediaKind(imagePath) === "video";
+    const buffers = isVideo
+      ? await extractVideoFrames(imagePath)
+      : [await compressImage(imagePath)];
+    const images = buffers.map((buffer) => ({
+      base64Image: buffer.toString("base64"),
+      mimeType: "image/jpeg",
+    }));
+
+    const instruction = isVideo
+      ? "Generate stock footage metadata for this video clip."
+      : "Generate stock photo metadata for this image.";
+    const prompt = buildMetadataPrompt(profile, {
+      ...context,
+      filename: path.basename(imagePath),
+      frames: isVideo ? images.length : 0,
+    });
+    const schema = supportsStructuredOutput(provider, model)
+      ? buildMetadataSchema(profile)
+      : null;
+
+    // Follow-up requests resend the images, so token usage adds up over all of them
+    let tokenInfo = null;
+    const request = async (followUp = "") => {
+      const reply = await requestWithRetry(provider, spinner, () =>
+        provider.describeImage({
+          images,
+          instruction: followUp ? `${instruction}\n\n${followUp}` : instruction,
+          prompt,
+          schema,
+          model,
+          apiKey,
+        }),
+      );
+      tokenInfo = addTokenInfo(tokenInfo, reply.tokenInfo);
+      return reply.text;
+    };
+
+    let reply = await requestJsonReply(request, provider, spinner);
+
+    // Ask for corrections while the reply breaks the profile rules, keeping the best reply
+    const maxCorrections = Number(config.correctionRetries) || 0;
+    let problems = findMetadataViolations(reply, profile);
+    for (
+      let attempt = 1;
+      problems.length > 0 && attempt <= maxCorrections;
+      attempt++
+    ) {
+      spinner.warn(
+        `Reply breaks ${problems.length === 1 ? "a rule" : `${problems.length} rules`} (${problems.join("; ")}), asking for a correction (${attempt}/${maxCorrections})`,
+      );
+      spinner.start();
+      const corrected = parseMetadataResponse(
+        await request(
+          `Your previous reply was:\n${JSON.stringify(reply)}\n\nIt breaks these rules:\n${problems.map((problem) => `- ${problem}`).join("\n")}\n\nReturn the corrected JSON object, keeping everything that was right.`,
+        ),
+      );
+      if (!corrected) continue;
+      const remaining = findMetadataViolations(corrected, profile);
+      if (remaining.length <= problems.length) {
+        reply = corrected;
+        problems = remaining;
       }
+    }
 
-      // Add delay between requests (except for the last image)
-      if (i < imageFiles.length - 1 && config.delay > 0) {
-        console.log(chalk.yellow(`⏳ Waiting ${config.delay} seconds before next request...`));
-        await new Promise(resolve => setTimeout(resolve, config.delay * 1000));
+    // Validate metadata
+    const metadata = validateAndFixMetadata(reply, profile);
+
+    // Add token usage and cost information to metadata if available
+    if (tokenInfo) {
+      metadata.tokenInfo = tokenInfo;
+      const cost = calculateCost(tokenInfo, getModelPrice(provider, model));
+      if (cost !== null) {
+        metadata.cost = cost;
       }
     }
+
+    spinner.succeed(
+      `Metadata generated successfully with ${provider.shortName}`,
+    );
+    return metadata;
   } catch (error) {
-    console.log(chalk.red.bold(`\n─────────────── ERROR ────────────────`));
-    console.log(chalk.red(`Error processing images: ${error.message}`));
-    console.log(chalk.red.bold(`───────────────────────────────────────\n`));
+    spinner.fail(
+      `Failed to generate metadata with ${provider.shortName}: ${error.message}`,
+    );
+    throw error;
   }
+}
 
-  return stats;
+// English name of a language code (de is German), for prompts and output
+function getLanguageName(code) {
+  return new Intl.DisplayNames(["en"], { type: "language" }).of(code);
 }
 
-// Main menu function
-async function showMainMenu() {
-  try {
-    // Clear screen and display current configuration
-    console.clear();
-    displayCurrentConfig();
+// Instructions for translating finished metadata into one language
+function buildTranslationPrompt(profile, language) {
+  return `You translate stock image metadata from ${profile.language} into ${getLanguageName(language)} for buyers searching agency sites in that language. Follow these rules EXACTLY:
 
-    const answers = await inquirer.prompt([
-      {
-        type: "list",
-        name: "action",
-        message: "What would you like to do?",
-        choices: [
-          { name: "📂 Input/Output Settings", value: "inputOutputSettings" },
-          { name: "⚙️ Metadata Settings", value: "metadataSettings" },
-          { name: "🤖 AI Provider Settings", value: "aiSettings" },
-          { name: "🙏🏻 Process Images", value: "processImages" },
-          { name: "❌ Exit", value: "exit" },
-        ],
-      },
-    ]);
+- Output format MUST be valid JSON with the same fields as the input:
+{
+  "title": "Translated title",
+${profile.description ? '  "description": "Translated description",\n' : ""}  "tags": ["keyword1", "keyword2"]
+}
+- Translate the title${profile.description ? " and description" : ""} as fluent, natural ${getLanguageName(language)}, no longer than ${profile.titleMaxChars} characters for the title${profile.description ? ` and ${profile.descriptionMaxChars} for the description` : ""}.
+- Translate each keyword to the term a buyer would search for in ${getLanguageName(language)}, keeping its exact meaning. Do not translate word by word when another term is used.
+- Keep names of people, places, brands and species as they are usually written in ${getLanguageName(language)}.
+- When two keywords translate to the same term, list it only once. Never add keywords that are not in the input.
+- Keep the order of the keywords. Keywords are lowercase where the language has case, without punctuation.
+- DO NOT return anything except the JSON object. No explanation. No extra output.`;
+}
 
-    switch (answers.action) {
-      case "inputOutputSettings":
-        await showInputOutputMenu();
-        break;
-      case "metadataSettings":
-        await showMetadataMenu();
-        break;
-      case "aiSettings":
-        await showAiMenu();
-        break;
-      case "processImages":
-        await processImages();
-        break;
-      case "exit":
-        console.log(
-          chalk.cyan.bold("\n┌─────────────────────────────────────────┐"),
-        );
-        console.log(
-          chalk.cyan.bold("│  Thank you for using Image Metadata CLI │"),
-        );
-        console.log(
-          chalk.cyan.bold("│              Goodbye!                   │"),
+// Translate finished metadata into the profile's translation languages, one text-only
+// request per language. Translated keywords are deduplicated, so a language never has
+// more keywords than the original.
+async function translateMetadata(
+  metadata,
+  provider,
+  apiKey,
+  profile,
+  model = getProviderModel(provider),
+  imagePath = "",
+) {
+  const languages = profile.translations || [];
+  const spinner = startSpinner(
+    `Translating metadata with ${provider.shortName}...`,
+    imagePath,
+  );
+
+  try {
+    const schema = supportsStructuredOutput(provider, model)
+      ? buildMetadataSchema(profile, { classification: false })
+      : null;
+    const source = JSON.stringify({
+      title: metadata.title,
+      ...(profile.description && metadata.description
+        ? { description: metadata.description }
+        : {}),
+      tags: metadata.tags,
+    });
+
+    let tokenInfo = null;
+    const translations = {};
+    for (const language of languages) {
+      spinner.text = `Translating metadata into ${getLanguageName(language)}...`;
+      const instruction = `Translate this metadata into ${getLanguageName(language)}:\n${source}`;
+      const request = async (followUp = "") => {
+        const reply = await requestWithRetry(provider, spinner, () =>
+          provider.describeImage({
+            images: [],
+            instruction: followUp
+              ? `${instruction}\n\n${followUp}`
+              : instruction,
+            prompt: buildTranslationPrompt(profile, language),
+            schema,
+            model,
+            apiKey,
+          }),
         );
-        console.log(
-          chalk.cyan.bold("└─────────────────────────────────────────┘\n"),
+        tokenInfo = addTokenInfo(tokenInfo, reply.tokenInfo);
+        return reply.text;
+      };
+
+      const reply = await requestJsonReply(request, provider, spinner);
+      if (typeof reply.title !== "string" || !reply.title.trim()) {
+        throw new Error(
+          `The ${getLanguageName(language)} translation has no title`,
         );
-        await exiftool.end();
-        process.exit(0);
+      }
+      const tags = [];
+      (Array.isArray(reply.tags) ? reply.tags : []).forEach((tag) => {
+        const keyword = typeof tag === "string" ? tag.trim().toLowerCase() : "";
+        if (keyword && !tags.includes(keyword)) tags.push(keyword);
+      });
+      translations[language] = {
+        title: truncateAtWord(reply.title.trim(), profile.titleMaxChars),
+        ...(metadata.description &&
+        typeof reply.description === "string" &&
+        reply.description.trim()
+          ? {
+              description: truncateAtWord(
+                reply.description.trim(),
+                profile.descriptionMaxChars,
+              ),
+            }
+          : {}),
+        tags: tags.slice(0, metadata.tags.length),
+      };
     }
 
-    // Show the main menu again
-    await showMainMenu();
+    const result = { translations };
+    if (tokenInfo) {
+      result.tokenInfo = tokenInfo;
+      const cost = calculateCost(tokenInfo, getModelPrice(provider, model));
+      if (cost !== null) {
+        result.cost = cost;
+      }
+    }
+
+    spinner.succeed(
+      `Metadata translated into ${languages.map(getLanguageName).join(", ")}`,
+    );
+    return result;
   } catch (error) {
-    console.error(chalk.red(`Error: ${error.message}`));
-    await showMainMenu();
+    spinner.fail(`Failed to translate metadata: ${error.message}`);
+    throw error;
   }
 }
 
-// Set input directory
-async function setInputDirectory() {
-  const answers = await inquirer.prompt([
-    {
-      type: "input",
-      name: "inputDir",
-      message: "Enter the path to your input directory:",
-      default: config.inputDir,
-      validate: validateDirectory,
-    },
-  ]);
+// Add the profile's translations to finished metadata, counting their tokens and
+// cost with the metadata's own
+async function addTranslations(
+  metadata,
+  provider,
+  apiKey,
+  profile,
+  model,
+  imagePath,
+) {
+  if ((profile.translations || []).length === 0) return metadata;
 
-  config.inputDir = answers.inputDir;
-  saveConfig();
-  console.log(
-    chalk.cyan.bold(
-      `\n─────────────── INPUT DIRECTORY UPDATED ────────────────`,
-    ),
-  );
-  console.log(
-    chalk.cyan(`Input directory set to: ${chalk.green(answers.inputDir)}`),
-  );
-  console.log(
-    chalk.cyan.bold(
-      `────────────────────────────────────────────────────────\n`,
-    ),
+  const translated = await translateMetadata(
+    metadata,
+    provider,
+    apiKey,
+    profile,
+    model,
+    imagePath,
   );
+  const tokenInfo = addTokenInfo(metadata.tokenInfo, translated.tokenInfo);
+  return {
+    ...metadata,
+    translations: translated.translations,
+    ...(tokenInfo ? { tokenInfo } : {}),
+    ...(translated.cost !== undefined
+      ? { cost: (metadata.cost || 0) + translated.cost }
+      : {}),
+  };
 }
 
-// Set output directory
-async function setOutputDirectory() {
-  const answers = await inquirer.prompt([
-    {
-      type: "input",
-      name: "outputDir",
-      message: "Enter the path to your output directory:",
-      default: config.outputDir,
-      validate: (dirPath) => {
-        if (!dirPath) return "Directory path cannot be empty";
-        // Create directory if it doesn't exist
-        if (!directoryExists(dirPath)) {
-          try {
-            fs.mkdirSync(dirPath, { recursive: true });
-            console.log(chalk.yellow(`Created directory: ${dirPath}`));
-          } catch (error) {
-            return `Could not create directory: ${error.message}`;
-          }
-        }
-        return true;
-      },
-    },
-  ]);
-
-  config.outputDir = answers.outputDir;
-  saveConfig();
-  console.log(
-    chalk.cyan.bold(
-      `\n─────────────── OUTPUT DIRECTORY UPDATED ────────────────`,
-    ),
-  );
-  console.log(
-    chalk.cyan(`│ Output directory set to: ${chalk.green(answers.outputDir)}`),
-  );
-  console.log(
-    chalk.cyan.bold(
-      `─────────────────────────────────────────────────────────\n`,
-    ),
-  );
+// Get the tags each metadata field is written to, with config overrides applied
+function getFieldMapping() {
+  const mapping = { ...defaultFieldMapping };
+  Object.entries(config.fieldMapping || {}).forEach(([field, tagNames]) => {
+    if (field in defaultFieldMapping) {
+      mapping[field] = [].concat(tagNames || []);
+    }
+  });
+  return mapping;
 }
 
-// Set max title characters
-async function setMaxTitleChars() {
-  const answers = await inquirer.prompt([
-    {
-      type: "number",
-      name: "maxTitleChars",
-      message: "Enter the maximum number of characters for the title:",
-      default: config.maxTitleChars,
-      validate: (value) => {
-        if (isNaN(value) || value <= 0) {
-          return "Please enter a positive number";
-        }
-        return true;
-      },
+// Build the exiftool tags for an image from its metadata and the rights settings
+function buildMetadataTags(metadata) {
+  const values = {
+    title: metadata.title,
+    description: metadata.description || metadata.title, // Fall back to title when the profile has no description
+    keywords: metadata.tags,
+    creator: config.creator,
+    copyright: config.copyright,
+    credit: config.creditLine,
+    contactEmail: config.contactEmail,
+    contactUrl: config.contactUrl,
+  };
+
+  const mapping = getFieldMapping();
+  const tags = {};
+  Object.entries(mapping).forEach(([field, tagNames]) => {
+    const value = values[field];
+    if (!value || value.length === 0) return;
+    tagNames.forEach((tagName) => {
+      tags[tagName] = value;
+    });
+  });
+
+  // Translated titles and descriptions go to the language variants of lang-alt tags
+  // (XMP-dc:Title-de); keyword lists have no language variants
+  Object.entries(metadata.translations || {}).forEach(
+    ([language, translation]) => {
+      const translated = {
+        title: translation.title,
+        description: translation.description || translation.title,
+      };
+      Object.entries(translated).forEach(([field, value]) => {
+        mapping[field]
+          .filter((tagName) => langAltTags.includes(tagName))
+          .forEach((tagName) => {
+            tags[`${tagName}-${language}`] = value;
+          });
+      });
     },
-  ]);
+  );
 
-  config.maxTitleChars = answers.maxTitleChars;
-  saveConfig();
-  console.log(
-    chalk.cyan.bold(`\n─────────────── TITLE LENGTH UPDATED ────────────────`),
+  const categories = Object.entries(metadata.categories || {}).flatMap(
+    ([agencyId, ids]) => ids.map((id) => `${agencyId}:${id}`),
   );
-  console.log(
-    chalk.cyan(
-      `Maximum title characters set to: ${chalk.green(answers.maxTitleChars)}`,
+  if (categories.length > 0) {
+    tags[categoriesTag] = categories;
+  }
+  // Releases count as property releases only when the image shows property and no faces
+  if ((metadata.releases || []).length > 0) {
+    const flags = metadata.flags || {};
+    tags[
+      flags.property && !flags.recognizable_faces
+        ? releaseTags.property
+        : releaseTags.model
+    ] = metadata.releases;
+  }
+
+  // Store IPTC text as UTF-8 so non-ASCII titles and keywords survive
+  if (Object.keys(tags).some((tagName) => tagName.startsWith("IPTC:"))) {
+    tags["IPTC:CodedCharacterSet"] = "UTF8";
+  }
+  return tags;
+}
+
+// The XMP tags of an image's metadata, the only ones an XMP file can hold
+function buildXmpTags(metadata) {
+  return Object.fromEntries(
+    Object.entries(buildMetadataTags(metadata)).filter(([tagName]) =>
+      tagName.startsWith("XMP-"),
     ),
   );
-  console.log(
-    chalk.cyan.bold(`─────────────────────────────────────────────────────\n`),
-  );
 }
 
-// Set max tags
-async function setMaxTags() {
-  const answers = await inquirer.prompt([
-    {
-      type: "number",
-      name: "maxTags",
-      message: "Enter the maximum number of tags:",
-      default: config.maxTags,
-      validate: (value) => {
-        if (isNaN(value) || value <= 0) {
-          return "Please enter a positive number";
-        }
-        return true;
-      },
-    },
-  ]);
+// Name of a mapped tag as exiftool reports it when reading (without its group)
+function getReadTagName(tagName) {
+  return tagName.split(":").pop();
+}
 
-  config.maxTags = answers.maxTags;
-  saveConfig();
-  console.log(
-    chalk.cyan.bold(`\n─────────────── TAG COUNT UPDATED ────────────────`),
-  );
-  console.log(
-    chalk.cyan(`Maximum tags set to: ${chalk.green(answers.maxTags)}`),
-  );
-  console.log(
-    chalk.cyan.bold(`──────────────────────────────────────────────────\n`),
+// Kind of media a file is ("image", "raw" or "video"), or null when unsupported
+function getMediaKind(file) {
+  const ext = path.extname(file).toLowerCase();
+  return (
+    Object.keys(mediaFormats).find((kind) =>
+      mediaFormats[kind].includes(ext),
+    ) || null
   );
 }
 
-// Set API keys
-async function setApiKeys() {
-  const answers = await inquirer.prompt([
-    {
-      type: "password",
-      name: "gptApiKey",
-      message: "Enter your OpenAI GPT API key:",
-      default: config.gptApiKey,
-      mask: "*",
-    },
-    {
-      type: "password",
-      name: "geminiApiKey",
-      message: "Enter your Google Gemini API key:",
-      default: config.geminiApiKey,
-      mask: "*",
-    },
-  ]);
+// Name of a sidecar of a file: the file name with its extension replaced
+// (photo.CR2 -> photo.xmp), as Lightroom, Bridge and Capture One expect
+function getSidecarFileName(filePath, format) {
+  return `${path.basename(filePath, path.extname(filePath))}.${format}`;
+}
 
-  config.gptApiKey = answers.gptApiKey;
-  config.geminiApiKey = answers.geminiApiKey;
-  saveConfig();
-  console.log(
-    chalk.cyan.bold(`\n─────────────── API KEYS UPDATED ────────────────`),
-  );
-  console.log(chalk.cyan(`API keys saved successfully`));
-  console.log(
-    chalk.cyan.bold(`─────────────────────────────────────────────────\n`),
-  );
+// Where a file's metadata is written: the file itself, or an XMP sidecar
+// named after it (photo.CR2 -> photo.xmp) for RAW files and videos set up that way
+function getMetadataDestination(filePath) {
+  const kind = getMediaKind(filePath);
+  const target =
+    kind === "raw"
+      ? config.rawMetadataTarget
+      : kind === "video"
+        ? config.videoMetadataTarget
+        : "embed";
+  if (target !== "sidecar") return { path: filePath, sidecar: false };
+
+  return {
+    path: path.join(
+      path.dirname(filePath),
+      getSidecarFileName(filePath, "xmp"),
+    ),
+    sidecar: true,
+  };
 }
 
-// Select AI model
-async function selectAiModel() {
-  const answers = await inquirer.prompt([
-    {
-      type: "list",
-      name: "aiModel",
-      message: "Select the AI to use:",
-      choices: [
-        { name: "OpenAI GPT", value: "gpt" },
-        { name: "Google Gemini", value: "gemini" },
-      ],
-      default: config.aiModel,
-    },
-  ]);
+// Read the title, description, keywords and location a file already carries,
+// including an XMP sidecar it came with
+async function readExistingMetadata(imagePath) {
+  const destination = getMetadataDestination(imagePath);
+  const tags = {
+    ...(await exiftool.read(imagePath)),
+    ...(destination.sidecar && fs.existsSync(destination.path)
+      ? await exiftool.read(destination.path)
+      : {}),
+  };
+  const mapping = getFieldMapping();
+  const firstValue = (tagNames) =>
+    tagNames
+      .map((tagName) => tags[getReadTagName(tagName)])
+      .find((value) => typeof value === "string" && value.trim());
 
-  config.aiModel = answers.aiModel;
-  saveConfig();
-  const aiName =
-    answers.aiModel === "gpt"
-      ? chalk.blue("OpenAI GPT")
-      : chalk.green("Google Gemini");
-  console.log(
-    chalk.cyan.bold(`\n─────────────── AI PROVIDER UPDATED ────────────────`),
-  );
-  console.log(chalk.cyan(`AI Provider set to: ${aiName}`));
-  console.log(
-    chalk.cyan.bold(`────────────────────────────────────────────────────\n`),
+  const keywords = new Set();
+  mapping.keywords
+    .flatMap((tagName) => [].concat(tags[getReadTagName(tagName)] || []))
+    .forEach((keyword) => {
+      const text = String(keyword).trim().toLowerCase();
+      if (text) keywords.add(text);
+    });
+
+  const place = [
+    tags["Sub-location"] || tags.Location,
+    tags.City,
+    tags["Province-State"] || tags.State,
+    tags["Country-PrimaryLocationName"] || tags.Country,
+  ].filter(Boolean);
+  if (tags.GPSPosition) place.push(`GPS ${tags.GPSPosition}`);
+
+  return {
+    title: (firstValue(mapping.title) || "").trim(),
+    description: (firstValue(mapping.description) || "").trim(),
+    tags: Array.from(keywords),
+    location: place.join(", "),
+  };
+}
+
+// Whether a file already has all the metadata the profile asks for
+function isFullyTagged(existing, profile) {
+  return Boolean(
+    existing.title &&
+    existing.tags.length >= Math.max(1, profile.keywordsMin) &&
+    (!profile.description || existing.description),
   );
 }
 
-// Validate and fix metadata to ensure it meets requirements
-function validateAndFixMetadata(metadata, maxTitleChars, maxTags) {
-  // Make a copy to avoid modifying the original
-  const validatedMetadata = { ...metadata };
+// Combine generated metadata with a file's existing metadata using a merge strategy
+function mergeMetadata(existing, generated, strategy, profile) {
+  if (!existing || strategy === "replace") return generated;
 
-  // Validate title
-  if (!validatedMetadata.title || typeof validatedMetadata.title !== "string") {
-    validatedMetadata.title = "Untitled Image";
-    console.log(chalk.red("Error: AI did not return a valid title."));
+  const merged = { ...generated };
+  if (existing.title) merged.title = existing.title;
+  if (existing.description && generated.description !== undefined) {
+    merged.description = existing.description;
   }
 
-  // Validate tags
-  if (!validatedMetadata.tags || !Array.isArray(validatedMetadata.tags)) {
-    validatedMetadata.tags = [];
-    console.log(chalk.red("Error: AI did not return any valid tags."));
+  if (strategy === "append") {
+    // Photographer keywords first, then generated ones up to the profile maximum
+    const tags = [...existing.tags];
+    generated.tags.forEach((tag) => {
+      if (tags.length < profile.keywordsMax && !tags.includes(tag)) {
+        tags.push(tag);
+      }
+    });
+    merged.tags = tags;
+  } else if (existing.tags.length > 0) {
+    merged.tags = existing.tags;
   }
+  return merged;
+}
 
-  // Ensure all tags are strings and remove duplicates
-  const uniqueTags = new Set();
-  validatedMetadata.tags.forEach((tag) => {
-    if (typeof tag === "string" && tag.trim()) {
-      uniqueTags.add(tag.trim().toLowerCase());
-    }
-  });
+// Function to write metadata to image
+async function writeMetadataToImage(imagePath, outputPath, metadata) {
+  const spinner = startSpinner("Writing metadata to image...", imagePath);
+  // Output files made here, removed again when the write fails
+  const created = [];
 
-  // Convert set back to array
-  validatedMetadata.tags = Array.from(uniqueTags);
+  try {
+    // Create output directory if it doesn't exist
+    await fsExtra.ensureDir(path.dirname(outputPath));
 
-  // Trim tags list if it exceeds max count
-  if (validatedMetadata.tags.length > maxTags) {
-    // If we have too many tags, trim to the exact count
-    validatedMetadata.tags = validatedMetadata.tags.slice(0, maxTags);
-  }
+    // Copy image to output directory
+    await fsExtra.copy(imagePath, outputPath);
+    created.push(outputPath);
 
-  // No category validation needed
+    const destination = getMetadataDestination(outputPath);
+    if (destination.sidecar) {
+      created.push(destination.path);
+      // Update the sidecar the original came with, keeping its develop settings
+      const originalSidecar = getMetadataDestination(imagePath).path;
+      if (fs.existsSync(originalSidecar)) {
+        await fsExtra.copy(originalSidecar, destination.path);
+      }
+    }
 
-  return validatedMetadata;
-}
+    // Write metadata to image
+    await exiftool.write(
+      destination.path,
+      destination.sidecar
+        ? buildXmpTags(metadata)
+        : buildMetadataTags(metadata),
+      ["-overwrite_original"],
+    ); // Add flag to avoid creating backup files
 
-// Select specific model based on AI provider
-async function selectSpecificModel() {
-  if (config.aiModel === "gemini") {
-    const answers = await inquirer.prompt([
-      {
-        type: "list",
-        name: "geminiModel",
-        message: "Select the Gemini model to use:",
-        choices: [
-          { name: "Gemini 2.5 Pro", value: "gemini-2.5-pro" },
-          { name: "Gemini 2.5 Flash", value: "gemini-2.5-flash" },
-          { name: "Gemini 2.0 Flash", value: "gemini-2.0-flash" },
-          { name: "Gemini 1.5 Flash", value: "gemini-1.5-flash" },
-          { name: "Gemini 1.5 Pro", value: "gemini-1.5-pro" },
-        ],
-        default: config.geminiModel,
-      },
-    ]);
+    // Delete original image if success write metadata to image
+    // await fs.promises.unlink(imagePath);
 
-    config.geminiModel = answers.geminiModel;
-    saveConfig();
-    console.log(
-      chalk.cyan.bold(`\n─────────────── MODEL UPDATED ────────────────`),
-    );
-    console.log(
-      chalk.cyan(`Gemini model set to: ${chalk.magenta(answers.geminiModel)}`),
+    spinner.succeed(
+      destination.sidecar
+        ? `Metadata written to ${path.basename(destination.path)}`
+        : "Metadata written successfully",
     );
-    console.log(
-      chalk.cyan.bold(`───────────────────────────────────────────────\n`),
+    return true;
+  } catch (error) {
+    spinner.fail(`Failed to write metadata: ${error.message}`);
+    // An untagged copy would pass for finished output in later runs and uploads
+    await Promise.all(created.map((filePath) => fsExtra.remove(filePath)));
+    throw error;
+    // return false; // Return false to indicate failure
+  }
+}
+
+// Re-read an output image and confirm its embedded Title/Keywords match the metadata
+async function verifyWrittenMetadata(outputPath, metadata) {
+  const mapping = getFieldMapping();
+  if (mapping.title.length === 0 || mapping.keywords.length === 0) {
+    throw new Error("Title and keywords must be mapped to a tag to verify");
+  }
+
+  const tags = await exiftool.read(getMetadataDestination(outputPath).path);
+  // Formats without IPTC (GIF, video, XMP sidecars) are checked on the first mapped tag they hold
+  const firstValue = (tagNames) =>
+    tagNames
+      .map((tagName) => tags[getReadTagName(tagName)])
+      .find((value) => value !== undefined);
+  const title = firstValue(mapping.title);
+  const keywords = new Set(
+    []
+      .concat(firstValue(mapping.keywords) || [])
+      .map((keyword) => String(keyword)),
+  );
+
+  if (String(title || "").trim() !== metadata.title.trim()) {
+    throw new Error("Embedded title does not match the generated title");
+  }
+  const missing = metadata.tags.filter((tag) => !keywords.has(tag));
+  if (missing.length > 0) {
+    throw new Error(
+      `Embedded keywords are missing ${missing.length} generated tags`,
     );
+  }
+}
+
+// Find a path in a directory that does not overwrite an existing file
+function getAvailablePath(dirPath, file) {
+  const ext = path.extname(file);
+  const name = path.basename(file, ext);
+  let candidate = path.join(dirPath, file);
+  for (let i = 1; fs.existsSync(candidate); i++) {
+    candidate = path.join(dirPath, `${name}-${i}${ext}`);
+  }
+  return candidate;
+}
+
+// Path of the sidecar that holds an image's metadata, mirroring subfolders in the sidecar directory
+function getSidecarPath(imagePath, inputDir, format = config.sidecarFormat) {
+  const dirPath = config.sidecarDir
+    ? path.join(
+        config.sidecarDir,
+        path.dirname(path.relative(inputDir, imagePath)),
+      )
+    : path.dirname(imagePath);
+  return path.join(dirPath, getSidecarFileName(imagePath, format));
+}
+
+// Write generated metadata to a sidecar without touching the image
+async function writeSidecar(imagePath, metadata, settings) {
+  const sidecarPath = getSidecarPath(imagePath, settings.inputDir);
+  await fsExtra.ensureDir(path.dirname(sidecarPath));
+
+  if (config.sidecarFormat === "xmp") {
+    // exiftool creates the file, or updates the sidecar a RAW file came with and
+    // keeps its develop settings
+    await exiftool.write(sidecarPath, buildXmpTags(metadata), [
+      "-overwrite_original",
+    ]);
   } else {
-    const answers = await inquirer.prompt([
-      {
-        type: "list",
-        name: "gptModel",
-        message: "Select the GPT model to use:",
-        choices: [
-          { name: "GPT-4 Vision", value: "gpt-4-vision-preview" },
-          { name: "GPT-4.1-mini", value: "gpt-4.1-mini" },
-          { name: "GPT-4.1-nano", value: "gpt-4.1-nano" },
-          { name: "o4-mini", value: "o4-mini" },
-        ],
-        default: config.gptModel,
+    // Token usage and timestamps are left out so sidecars diff cleanly
+    const sidecar = {
+      file: path.basename(imagePath),
+      title: metadata.title,
+      ...(metadata.description ? { description: metadata.description } : {}),
+      tags: metadata.tags,
+      ...(metadata.translations ? { translations: metadata.translations } : {}),
+      ...(metadata.category ? { category: metadata.category } : {}),
+      ...(metadata.categories ? { categories: metadata.categories } : {}),
+      ...(metadata.flags ? { flags: metadata.flags } : {}),
+      ...(typeof metadata.editorial === "boolean"
+        ? { editorial: metadata.editorial }
+        : {}),
+      ...(metadata.releases ? { releases: metadata.releases } : {}),
+      generator: {
+        provider: settings.aiModel,
+        model: settings.model,
+        profile: settings.profile.id,
       },
-    ]);
-
-    config.gptModel = answers.gptModel;
-    saveConfig();
-    console.log(
-      chalk.cyan.bold(`\n─────────────── MODEL UPDATED ────────────────`),
-    );
-    console.log(
-      chalk.cyan(`GPT model set to: ${chalk.magenta(answers.gptModel)}`),
-    );
-    console.log(
-      chalk.cyan.bold(`───────────────────────────────────────────────\n`),
+    };
+    await fs.promises.writeFile(
+      sidecarPath,
+      `${JSON.stringify(sidecar, null, 2)}\n`,
     );
   }
+  return sidecarPath;
 }
 
-// Set delay between requests
-async function setDelay() {
-  const answers = await inquirer.prompt([
-    {
-      type: "number",
-      name: "delay",
-      message: "Enter the delay in seconds between requests (0 to disable):",
-      default: config.delay,
-      validate: (value) => {
-        if (isNaN(value) || value < 0) {
-          return "Please enter a non-negative number";
+// Read the metadata stored in a JSON or XMP sidecar
+async function readSidecar(sidecarPath) {
+  let metadata;
+  if (sidecarPath.endsWith(".xmp")) {
+    const tags = await exiftool.read(sidecarPath);
+    metadata = {
+      title: tags.Title,
+      description: tags.Description,
+      tags: [].concat(tags.Subject || []).map((tag) => String(tag)),
+    };
+
+    // Language variants (Title-de, Description-de) hold the translations
+    const translations = {};
+    Object.entries(tags).forEach(([tagName, value]) => {
+      const match = tagName.match(/^(Title|Description)-([A-Za-z-]+)$/);
+      if (!match) return;
+      const translation = (translations[match[2]] = translations[match[2]] || {
+        tags: [],
+      });
+      translation[match[1].toLowerCase()] = String(value);
+    });
+    if (Object.keys(translations).length > 0) {
+      metadata.translations = translations;
+    }
+
+    // Agency categories are stored as agency:id, releases as PLUS release ids
+    const categories = {};
+    []
+      .concat(tags[getReadTagName(categoriesTag)] || [])
+      .map((value) => String(value))
+      .forEach((value) => {
+        const separator = value.indexOf(":");
+        const agencyId = value.slice(0, separator);
+        // Categories other tools put there are left alone
+        if (separator < 0 || !categoryLists[agencyId]) return;
+        categories[agencyId] = [
+          ...(categories[agencyId] || []),
+          value.slice(separator + 1),
+        ];
+      });
+    if (Object.keys(categories).length > 0) {
+      metadata.categories = categories;
+    }
+    const releases = Object.values(releaseTags)
+      .flatMap((tagName) => [].concat(tags[getReadTagName(tagName)] || []))
+      .map((release) => String(release));
+    if (releases.length > 0) {
+      metadata.releases = [...new Set(releases)];
+    }
+  } else {
+    try {
+      metadata = JSON.parse(await fs.promises.readFile(sidecarPath, "utf8"));
+    } catch (error) {
+      throw new Error(`Invalid sidecar ${sidecarPath}: ${error.message}`);
+    }
+  }
+
+  if (typeof metadata.title !== "string" || !metadata.title.trim()) {
+    throw new Error(`Sidecar ${sidecarPath} has no title`);
+  }
+  if (
+    !Array.isArray(metadata.tags) ||
+    metadata.tags.some((tag) => typeof tag !== "string")
+  ) {
+    throw new Error(`Sidecar ${sidecarPath} must list its tags as strings`);
+  }
+  if (
+    metadata.description !== undefined &&
+    typeof metadata.description !== "string"
+  ) {
+    throw new Error(`Sidecar ${sidecarPath} has an invalid description`);
+  }
+  const translations = Object.entries(metadata.translations || {});
+  if (
+    translations.some(
+      ([, translation]) =>
+        !translation ||
+        typeof translation.title !== "string" ||
+        !Array.isArray(translation.tags) ||
+        translation.tags.some((tag) => typeof tag !== "string"),
+    )
+  ) {
+    throw new Error(
+      `Sidecar ${sidecarPath} has a translation without a title or tags`,
+    );
+  }
+  if (
+    metadata.releases !== undefined &&
+    (!Array.isArray(metadata.releases) ||
+      metadata.releases.some((release) => typeof release !== "string"))
+  ) {
+    throw new Error(`Sidecar ${sidecarPath} must list its releases as strings`);
+  }
+  const categories = validateCategories(metadata.categories);
+  Object.entries(metadata.categories || {}).forEach(([agencyId, ids]) => {
+    const unknown = []
+      .concat(ids)
+      .filter((id) => !validateCategories({ [agencyId]: [id] })[agencyId]);
+    if (unknown.length > 0) {
+      throw new Error(
+        `Sidecar ${sidecarPath} has unknown ${agencyId} categories: ${unknown.join(", ")}`,
+      );
+    }
+  });
+
+  return {
+    title: metadata.title.trim(),
+    ...(metadata.description
+      ? { description: metadata.description.trim() }
+      : {}),
+    tags: metadata.tags.map((tag) => tag.trim()).filter(Boolean),
+    ...(translations.length > 0
+      ? {
+          translations: Object.fromEntries(
+            translations.map(([language, translation]) => [
+              language,
+              {
+                title: translation.title.trim(),
+                ...(translation.description
+                  ? { description: String(translation.description).trim() }
+                  : {}),
+                tags: translation.tags.map((tag) => tag.trim()).filter(Boolean),
+              },
+            ]),
+          ),
         }
-        return true;
-      },
-    },
-  ]);
+      : {}),
+    ...(typeof metadata.category === "string" && metadata.category.trim()
+      ? { category: metadata.category.trim() }
+      : {}),
+    ...(Object.keys(categories).length > 0 ? { categories } : {}),
+    ...(metadata.flags && typeof metadata.flags === "object"
+      ? {
+          flags: Object.fromEntries(
+            Object.keys(contentFlags).map((flag) => [
+              flag,
+              metadata.flags[flag] === true,
+            ]),
+          ),
+        }
+      : {}),
+    ...(typeof metadata.editorial === "boolean"
+      ? { editorial: metadata.editorial }
+      : {}),
+    ...(metadata.releases && metadata.releases.length > 0
+      ? {
+          releases: metadata.releases
+            .map((release) => release.trim())
+            .filter(Boolean),
+        }
+      : {}),
+  };
+}
 
-  config.delay = answers.delay;
-  saveConfig();
+// Find the sidecar of an image in either format, preferring the configured one
+function findSidecar(imagePath, inputDir) {
+  const formats = [
+    config.sidecarFormat,
+    ...sidecarFormats
+      .map((format) => format.value)
+      .filter((format) => format !== config.sidecarFormat),
+  ];
+  return formats
+    .map((format) => getSidecarPath(imagePath, inputDir, format))
+    .find((sidecarPath) => fs.existsSync(sidecarPath));
+}
+
+// Embed the metadata of every sidecar in the input directory into its image
+async function applySidecars(inputDir, outputDir, { dryRun = false } = {}) {
+  const stats = { total: 0, success: 0, failed: 0 };
+
+  const imageFiles = await listInputImages(inputDir);
+  const sidecarFiles = imageFiles
+    .map((file) => ({
+      file,
+      sidecarPath: findSidecar(path.join(inputDir, file), inputDir),
+    }))
+    .filter(({ sidecarPath }) => sidecarPath);
+
+  stats.total = sidecarFiles.length;
   console.log(
-    chalk.cyan.bold(`\n─────────────── DELAY UPDATED ────────────────`),
+    chalk.blue.bold(`\n─────────────── APPLYING SIDECARS ─────────────────`),
   );
   console.log(
-    chalk.cyan(
-      `Delay between requests set to: ${chalk.green(answers.delay)} seconds`,
+    chalk.blue(
+      `Found ${chalk.green(sidecarFiles.length)} of ${imageFiles.length} images with a sidecar.`,
     ),
   );
+  if (dryRun) {
+    console.log(
+      chalk.yellow(`Dry run: sidecars are checked but nothing is written.`),
+    );
+  }
   console.log(
-    chalk.cyan.bold(`─────────────────────────────────────────────────\n`),
+    chalk.blue.bold(`───────────────────────────────────────────────────\n`),
   );
+
+  for (const { file, sidecarPath } of sidecarFiles) {
+    const imagePath = path.join(inputDir, file);
+    const outputPath = path.join(outputDir, file);
+    try {
+      const metadata = await readSidecar(sidecarPath);
+      if (!dryRun) {
+        const success = await writeMetadataToImage(
+          imagePath,
+          outputPath,
+          metadata,
+        );
+        if (success) {
+          await handleOriginalImage(imagePath, outputPath, metadata, file, {
+            sidecarPath,
+          });
+        }
+      }
+      console.log(chalk.green(`✓ Applied: ${file} ← ${sidecarPath}`));
+      console.log(
+        chalk.green(
+          `  Title: ${metadata.title} (${metadata.title.length} chars)`,
+        ),
+      );
+      console.log(chalk.green(`  Tags: ${metadata.tags.length} keywords`));
+      stats.success++;
+    } catch (error) {
+      console.error(chalk.red(`✗ Failed to apply ${file}: ${error.message}`));
+      stats.failed++;
+    }
+  }
+
+  return stats;
 }
 
-// Toggle token display
-async function toggleTokenDisplay() {
-  config.showTokens = !config.showTokens;
-  saveConfig();
+// Display the summary of an apply run
+function displayApplySummary(stats, processingTime) {
   console.log(
-    chalk.cyan.bold(`\n─────────────── TOKEN DISPLAY ────────────────`),
+    chalk.cyan.bold(`\n─────────────── APPLY SUMMARY ────────────────`),
   );
   console.log(
     chalk.cyan(
-      `Token usage display: ${config.showTokens ? chalk.green("Enabled") : chalk.yellow("Disabled")}`,
+      `Total processing time: ${chalk.yellow(formatTime(processingTime))}`,
     ),
   );
+  console.log(chalk.cyan(`Sidecars found: ${chalk.white(stats.total)}`));
+  console.log(
+    chalk.cyan(`Successfully applied: ${chalk.green(stats.success)} images`),
+  );
+  if (stats.failed > 0) {
+    console.log(
+      chalk.cyan(`Failed to apply: ${chalk.red(stats.failed)} images`),
+    );
+  }
   console.log(
     chalk.cyan.bold(`──────────────────────────────────────────────\n`),
   );
 }
 
-// Process images
-async function processImages() {
-  console.clear();
-  const inputDir = config.inputDir;
-  const outputDir = config.outputDir;
-  const aiModel = config.aiModel;
-  const maxTitleChars = parseInt(config.maxTitleChars);
-  const maxTags = parseInt(config.maxTags);
+// Apply the originals policy to a source image whose output was written.
+// `file` is the image path relative to the input directory, mirrored in the archive;
+// `sidecarPath` is the generated sidecar an apply run read, which follows the original.
+async function handleOriginalImage(
+  imagePath,
+  outputPath,
+  metadata,
+  file = path.basename(imagePath),
+  { sidecarPath = null } = {},
+) {
+  // An XMP sidecar the original came with was copied to the output, so it goes along
+  const destination = getMetadataDestination(imagePath);
+  const originalSidecar =
+    destination.sidecar && fs.existsSync(destination.path)
+      ? destination.path
+      : null;
+  const appliedSidecar =
+    sidecarPath && sidecarPath !== originalSidecar ? sidecarPath : null;
 
-  // Validate configuration
-  if (!inputDir || !outputDir) {
-    console.log(chalk.red.bold(`\n─────────────── ERROR ────────────────`));
-    console.log(
-      chalk.red(
-        `Please set both input and output directories before processing.`,
-      ),
-    );
-    console.log(chalk.red.bold(`───────────────────────────────────────\n`));
-    return;
+  switch (config.originalsPolicy) {
+    case "delete":
+      // Only delete once the output is confirmed to carry the metadata
+      await verifyWrittenMetadata(outputPath, metadata);
+      await fs.promises.unlink(imagePath);
+      if (originalSidecar) await fs.promises.unlink(originalSidecar);
+      if (appliedSidecar) await fs.promises.unlink(appliedSidecar);
+      console.log(chalk.redBright(`✓ Original image deleted successfully`));
+      break;
+    case "move": {
+      const archiveDir = path.join(config.archiveDir, path.dirname(file));
+      await fsExtra.ensureDir(archiveDir);
+      const archivePath = getAvailablePath(archiveDir, path.basename(file));
+      await fsExtra.move(imagePath, archivePath);
+      if (originalSidecar) {
+        await fsExtra.move(
+          originalSidecar,
+          getMetadataDestination(archivePath).path,
+          { overwrite: true },
+        );
+      }
+      if (appliedSidecar) {
+        await fsExtra.move(
+          appliedSidecar,
+          path.join(
+            path.dirname(archivePath),
+            getSidecarFileName(
+              archivePath,
+              path.extname(appliedSidecar).slice(1),
+            ),
+          ),
+          { overwrite: true },
+        );
+      }
+      console.log(chalk.yellow(`✓ Original image moved to ${archivePath}`));
+      break;
+    }
+    default:
+      console.log(chalk.gray(`✓ Original image kept`));
   }
+}
 
-  const apiKey = aiModel === "gpt" ? config.gptApiKey : config.geminiApiKey;
-  if (!apiKey) {
-    console.log(chalk.red.bold(`\n─────────────── ERROR ────────────────`));
-    console.log(
-      chalk.red(
-        `Please set the ${aiModel === "gpt" ? "GPT" : "Gemini"} API key before processing.`,
-      ),
-    );
-    console.log(chalk.red.bold(`───────────────────────────────────────\n`));
-    return;
+// Save a job journal, replacing the file atomically so a crash never leaves it half-written
+function saveJobJournal(journal) {
+  journal.updatedAt = new Date().toISOString();
+  const journalPath = path.join(jobsDirPath, `${journal.id}.json`);
+  fsExtra.ensureDirSync(jobsDirPath);
+  fs.writeFileSync(`${journalPath}.tmp`, JSON.stringify(journal, null, 2));
+  fs.renameSync(`${journalPath}.tmp`, journalPath);
+}
+
+// Create the journal for a new processing run
+function createJobJournal(settings, files) {
+  const createdAt = new Date().toISOString();
+  const journal = {
+    id: `job-${createdAt.replace(/[:.]/g, "-")}`,
+    createdAt,
+    updatedAt: createdAt,
+    status: "running",
+    settings,
+    files: Object.fromEntries(
+      files.map((file) => [
+        file,
+        { state: "pending", metadata: null, error: null },
+      ]),
+    ),
+  };
+  saveJobJournal(journal);
+  return journal;
+}
+
+// Record a state change for one file of a job
+function updateJobFile(journal, file, changes) {
+  journal.files[file] = {
+    ...journal.files[file],
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  };
+  saveJobJournal(journal);
+}
+
+// Load a job journal by id
+function loadJobJournal(jobId) {
+  const journalPath = path.join(jobsDirPath, `${jobId}.json`);
+  if (!fs.existsSync(journalPath)) {
+    throw new Error(`Job not found: ${jobId}`);
   }
+  return JSON.parse(fs.readFileSync(journalPath, "utf8"));
+}
 
-  if (!fs.existsSync(inputDir)) {
-    console.log(chalk.red.bold(`\n─────────────── ERROR ────────────────`));
+// List all job journals, newest first
+function listJobJournals() {
+  if (!directoryExists(jobsDirPath)) return [];
+
+  return fs
+    .readdirSync(jobsDirPath)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => {
+      try {
+        return loadJobJournal(path.basename(file, ".json"));
+      } catch (error) {
+        console.log(
+          chalk.yellow(`Warning: Could not read job ${file}: ${error.message}`),
+        );
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Count the files of a job in each state
+function countJobStates(journal) {
+  const counts = {
+    pending: 0,
+    generated: 0,
+    review: 0,
+    written: 0,
+    skipped: 0,
+    failed: 0,
+  };
+  Object.values(journal.files).forEach((entry) => {
+    counts[entry.state]++;
+  });
+  return counts;
+}
+
+// Jobs that still have files left to generate or write
+function listUnfinishedJobs() {
+  return listJobJournals().filter((journal) => {
+    const counts = countJobStates(journal);
+    return counts.pending + counts.generated + counts.failed > 0;
+  });
+}
+
+// Jobs with metadata waiting for human review
+function listReviewJobs() {
+  return listJobJournals().filter(
+    (journal) => countJobStates(journal).review > 0,
+  );
+}
+
+// Describe a job in one line for menus and listings
+function describeJob(journal) {
+  const counts = countJobStates(journal);
+  const total = Object.keys(journal.files).length;
+  const review = counts.review > 0 ? `, ${counts.review} awaiting review` : "";
+  const skipped =
+    counts.skipped > 0 ? `, ${counts.skipped} skipped as already tagged` : "";
+  return `${journal.id} — ${journal.settings.inputDir} (${counts.written}/${total} written, ${counts.generated} generated${review}, ${counts.failed} failed, ${counts.pending} pending${skipped})`;
+}
+
+// Load the recorded runs, oldest first
+function loadRunHistory() {
+  if (!fs.existsSync(historyFilePath)) return [];
+  try {
+    return JSON.parse(fs.readFileSync(historyFilePath, "utf8"));
+  } catch (error) {
     console.log(
-      chalk.red(`Input directory does not exist: ${chalk.yellow(inputDir)}`),
+      chalk.yellow(`Warning: Could not read run history: ${error.message}`),
     );
-    console.log(chalk.red.bold(`───────────────────────────────────────\n`));
+    return [];
+  }
+}
 
-    const { tryAgain } = await inquirer.prompt([
-      {
-        type: "list",
-        name: "tryAgain",
-        message: "Input directory does not exist. What would you like to do?",
-        choices: [
-          { name: "📂 Set a new input directory", value: "change" },
-          { name: "⬅️ Back to main menu", value: "back" },
-          { name: "❌ Exit", value: "exit" },
-        ],
-      },
-    ]);
+// Append a run to the history file, replacing it atomically
+function recordRun(run) {
+  const history = loadRunHistory();
+  history.push(run);
+  fs.writeFileSync(`${historyFilePath}.tmp`, JSON.stringify(history, null, 2));
+  fs.renameSync(`${historyFilePath}.tmp`, historyFilePath);
+}
 
-    if (tryAgain === "change") {
-      await setInputDirectory();
-      await processImages(); // Retry after setting new folder
-      return;
-    } else if (tryAgain === "exit") {
-      await exiftool.end();
-      process.exit(0);
-    } else {
-      return; // back to main menu
-    }
-  }
+// Build the history record of a finished run from its statistics
+function buildRunRecord(stats, settings, startedAt) {
+  const average = (sum) =>
+    stats.generated > 0 ? Math.round((sum / stats.generated) * 10) / 10 : 0;
+  return {
+    id: stats.jobId || `run-${startedAt.toISOString().replace(/[:.]/g, "-")}`,
+    startedAt: startedAt.toISOString(),
+    provider: settings.aiModel,
+    model: settings.model,
+    profile: settings.profile.id,
+    mode: settings.mode,
+    files: stats.total,
+    successes: stats.success,
+    failures: stats.failed,
+    skipped: stats.skipped,
+    generated: stats.generated,
+    durationSeconds: Math.round((new Date() - startedAt) / 1000),
+    tokens: stats.tokens,
+    cost: Math.round(stats.cost * 1000000) / 1000000,
+    avgTitleLength: average(stats.titleChars),
+    avgKeywords: average(stats.keywords),
+  };
+}
 
-  const imageExtensions = [".jpg", ".jpeg", ".png", ".webp"];
-  const files = fs.readdirSync(inputDir);
+// Compare models across recorded runs
+function summarizeHistoryByModel(history) {
+  const groups = {};
+  history.forEach((run) => {
+    const key = `${run.provider}/${run.model}`;
+    if (!groups[key]) {
+      groups[key] = {
+        provider: run.provider,
+        model: run.model,
+        runs: 0,
+        successes: 0,
+        failures: 0,
+        generated: 0,
+        tokens: 0,
+        cost: 0,
+        titleChars: 0,
+        keywords: 0,
+      };
+    }
+    const group = groups[key];
+    group.runs++;
+    group.successes += run.successes;
+    group.failures += run.failures;
+    group.generated += run.generated;
+    group.tokens += run.tokens;
+    group.cost += run.cost;
+    group.titleChars += run.avgTitleLength * run.generated;
+    group.keywords += run.avgKeywords * run.generated;
+  });
 
-  const imageFiles = files.filter((file) => {
-    const ext = path.extname(file).toLowerCase();
-    return imageExtensions.includes(ext);
+  return Object.values(groups).map((group) => {
+    const attempts = group.successes + group.failures;
+    const perImage = (sum) =>
+      group.generated > 0 ? Math.round((sum / group.generated) * 10) / 10 : 0;
+    return {
+      provider: group.provider,
+      model: group.model,
+      runs: group.runs,
+      images: group.generated,
+      avgTitleLength: perImage(group.titleChars),
+      avgKeywords: perImage(group.keywords),
+      failureRate:
+        attempts > 0 ? Math.round((group.failures / attempts) * 1000) / 10 : 0,
+      tokensPerImage: Math.round(perImage(group.tokens)),
+      costPerImage:
+        group.generated > 0
+          ? Math.round((group.cost / group.generated) * 1000000) / 1000000
+          : 0,
+    };
   });
+}
 
-  if (imageFiles.length === 0) {
-    console.log(chalk.red.bold(`\n─────────────── ERROR ────────────────`));
-    console.log(
-      chalk.red(`No image files found in: ${chalk.yellow(inputDir)}`),
+// Write records as a CSV file with one column per field
+async function writeRecordsCsv(filePath, records) {
+  const headers = records.length > 0 ? Object.keys(records[0]) : [];
+  const lines = [headers]
+    .concat(records.map((record) => headers.map((header) => record[header])))
+    .map((fields) =>
+      fields.map((field) => escapeCsvField(field, ",")).join(","),
     );
-    console.log(chalk.red.bold(`───────────────────────────────────────\n`));
+  await fs.promises.writeFile(filePath, `${lines.join("\n")}\n`);
+}
 
-    const { tryAgain } = await inquirer.prompt([
-      {
-        type: "list",
-        name: "tryAgain",
-        message: "No images found. What would you like to do?",
-        choices: [
-          { name: "🔁 Choose a different input folder", value: "change" },
-          { name: "⬅️ Back to main menu", value: "back" },
-          { name: "❌ Exit", value: "exit" },
-        ],
-      },
+// Export the run history and model comparison as JSON or CSV
+async function exportRunHistory(filePath) {
+  const history = loadRunHistory();
+  if (filePath.toLowerCase().endsWith(".csv")) {
+    await writeRecordsCsv(filePath, history);
+    const modelsPath = filePath.replace(/\.csv$/i, "-models.csv");
+    await writeRecordsCsv(modelsPath, summarizeHistoryByModel(history));
+    return [filePath, modelsPath];
+  }
+  await fs.promises.writeFile(
+    filePath,
+    JSON.stringify(
+      { runs: history, models: summarizeHistoryByModel(history) },
+      null,
+      2,
+    ),
+  );
+  return [filePath];
+}
+
+// Estimate the tokens and cost of a run from the token usage recorded in earlier jobs
+function estimateRunCost(provider, model, fileCount) {
+  const samples = [];
+  listJobJournals().forEach((journal) => {
+    if (journal.settings.aiModel !== provider.id) return;
+    Object.values(journal.files).forEach((entry) => {
+      if (entry.metadata && entry.metadata.tokenInfo) {
+        samples.push({
+          sameModel: journal.settings.model === model,
+          tokenInfo: entry.metadata.tokenInfo,
+        });
+      }
+    });
+  });
+
+  // Prefer the same model, fall back to other models of the provider
+  const sameModel = samples.filter((sample) => sample.sameModel);
+  const basis = sameModel.length > 0 ? sameModel : samples;
+  if (basis.length === 0) return null;
+
+  const average = (key) =>
+    basis.reduce((sum, sample) => sum + (sample.tokenInfo[key] || 0), 0) /
+    basis.length;
+  const tokenInfo = {
+    prompt: average("prompt"),
+    completion: average("completion"),
+  };
+  const costPerImage = calculateCost(tokenInfo, getModelPrice(provider, model));
+
+  return {
+    samples: basis.length,
+    sameModel: sameModel.length > 0,
+    tokensPerImage: Math.round(tokenInfo.prompt + tokenInfo.completion),
+    costPerImage,
+    cost: costPerImage === null ? null : costPerImage * fileCount,
+  };
+}
+
+// Microstock agencies with their CSV upload sheet layout and metadata limits
+const agencies = {
+  adobe: {
+    name: "Adobe Stock",
+    delimiter: ",",
+    maxTitleChars: 200,
+    maxKeywords: 49,
+    columns: [
+      ["Filename", (row) => row.filename],
+      ["Title", (row) => row.title],
+      ["Keywords", (row) => row.keywords.join(", ")],
+      ["Category", (row) => (row.categories.adobe || []).join(",")],
+      ["Releases", (row) => row.releases.join(",")],
+    ],
+  },
+  shutterstock: {
+    name: "Shutterstock",
+    delimiter: ",",
+    maxTitleChars: 200,
+    maxKeywords: 50,
+    columns: [
+      ["Filename", (row) => row.filename],
+      ["Description", (row) => row.title],
+      ["Keywords", (row) => row.keywords.join(",")],
+      ["Categories", (row) => (row.categories.shutterstock || []).join(",")],
+      ["Editorial", (row) => (row.editorial ? "yes" : "no")],
+      ["Mature content", (row) => (row.mature ? "yes" : "no")],
+    ],
+  },
+  freepik: {
+    name: "Freepik",
+    delimiter: ";",
+    maxTitleChars: 100,
+    maxKeywords: 50,
+    columns: [
+      ["Filename", (row) => row.filename],
+      ["Title", (row) => row.title],
+      ["Keywords", (row) => row.keywords.join(", ")],
+    ],
+  },
+  getty: {
+    name: "Getty Images / iStock",
+    delimiter: ",",
+    maxTitleChars: 100,
+    maxKeywords: 50,
+    columns: [
+      ["file name", (row) => row.filename],
+      ["created date", () => ""],
+      ["description", (row) => row.description],
+      ["country", () => ""],
+      ["brief code", () => ""],
+      ["title", (row) => row.title],
+      ["keywords", (row) => row.keywords.join(",")],
+    ],
+  },
+};
+
+// Load the bundled agency category lists, keyed by agency id. Ids are kept as
+// strings, the form they take in replies and CSVs.
+function loadCategoryLists() {
+  return Object.fromEntries(
+    fs
+      .readdirSync(bundledCategoriesDirPath)
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => {
+        const list = JSON.parse(
+          fs.readFileSync(path.join(bundledCategoriesDirPath, file), "utf8"),
+        );
+        return [
+          path.basename(file, ".json"),
+          {
+            ...list,
+            categories: list.categories.map((category) => ({
+              ...category,
+              id: String(category.id),
+            })),
+          },
+        ];
+      }),
+  );
+}
+
+const categoryLists = loadCategoryLists();
+
+// Agencies the AI assigns categories for: those with a category list among the
+// exported agencies, or every list when no export is configured
+function getCategoryAgencies() {
+  const listed = Object.keys(categoryLists);
+  return config.exportAgencies.length > 0
+    ? config.exportAgencies.filter((agencyId) => listed.includes(agencyId))
+    : listed;
+}
+
+// Keep the categories of a reply that exist in the agencies' lists, given by id
+// or by name, up to each agency's maximum
+function validateCategories(categories) {
+  const valid = {};
+  if (!categories || typeof categories !== "object") return valid;
+  Object.entries(categoryLists).forEach(([agencyId, list]) => {
+    const ids = [];
+    [].concat(categories[agencyId] || []).forEach((value) => {
+      const text = String(value).trim().toLowerCase();
+      const category = list.categories.find(
+        ({ id, name }) =>
+          id.toLowerCase() === text || name.toLowerCase() === text,
+      );
+      if (category && !ids.includes(category.id)) ids.push(category.id);
+    });
+    if (ids.length > 0) valid[agencyId] = ids.slice(0, list.maxCategories);
+  });
+  return valid;
+}
+
+// Name a category of an agency list, with its id when that is a number
+function describeCategory(list, id) {
+  const category = list.categories.find((option) => option.id === id);
+  if (!category) return id;
+  return category.name === id ? id : `${id} ${category.name}`;
+}
+
+// Describe assigned categories in one line ("Adobe Stock 7 Food; Shutterstock Objects")
+function describeCategories(categories) {
+  return Object.entries(categories)
+    .filter(([agencyId]) => categoryLists[agencyId])
+    .map(
+      ([agencyId, ids]) =>
+        `${categoryLists[agencyId].name} ${ids.map((id) => describeCategory(categoryLists[agencyId], id)).join(", ")}`,
+    )
+    .join("; ");
+}
+
+// Cut text to a maximum length at a word boundary
+function truncateAtWord(text, maxChars) {
+  if (text.length <= maxChars) return text;
+  const cut = text.slice(0, maxChars + 1);
+  const lastSpace = cut.lastIndexOf(" ");
+  return (
+    lastSpace > 0 ? cut.slice(0, lastSpace) : text.slice(0, maxChars)
+  ).replace(/[\s,;:-]+$/, "");
+}
+
+// Quote a CSV field when it contains the delimiter, quotes or line breaks
+function escapeCsvField(value, delimiter) {
+  const text = String(value ?? "");
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// Build the rows of an agency CSV from the written files of a job, optionally
+// from their translation into a language
+function buildAgencyRows(journal, agency, language = null) {
+  return Object.entries(journal.files)
+    .filter(([, entry]) => entry.state === "written" && entry.metadata)
+    .map(([file, entry]) => [
+      file,
+      language ? (entry.metadata.translations || {})[language] : entry.metadata,
+    ])
+    .filter(([, metadata]) => metadata)
+    .map(([file, metadata]) => ({
+      filename: path.basename(file),
+      title: truncateAtWord(metadata.title, agency.maxTitleChars),
+      // Profiles without a description fall back to the title
+      description: metadata.description || metadata.title,
+      keywords: metadata.tags.slice(0, agency.maxKeywords),
+      // Classification is the same in every language
+      categories: journal.files[file].metadata.categories || {},
+      editorial: getLicense(journal.files[file].metadata).editorial,
+      mature: Boolean((journal.files[file].metadata.flags || {}).mature),
+      releases: journal.files[file].metadata.releases || [],
+    }));
+}
+
+// Languages the written files of a job were translated into
+function getJobLanguages(journal) {
+  const languages = new Set();
+  Object.values(journal.files)
+    .filter((entry) => entry.state === "written" && entry.metadata)
+    .forEach((entry) => {
+      Object.keys(entry.metadata.translations || {}).forEach((language) =>
+        languages.add(language),
+      );
+    });
+  return [...languages];
+}
+
+// Write an agency CSV for a job, or for one of its translations, and return its path
+async function exportAgencyCsv(journal, agencyId, language = null) {
+  const agency = agencies[agencyId];
+  if (!agency) {
+    throw new Error(
+      `Unknown agency "${agencyId}" (expected one of: ${Object.keys(agencies).join(", ")})`,
+    );
+  }
+
+  const lines = [agency.columns.map(([header]) => header)]
+    .concat(
+      buildAgencyRows(journal, agency, language).map((row) =>
+        agency.columns.map(([, value]) => value(row)),
+      ),
+    )
+    .map((fields) =>
+      fields
+        .map((field) => escapeCsvField(field, agency.delimiter))
+        .join(agency.delimiter),
+    );
+
+  const csvPath = path.join(
+    journal.settings.outputDir,
+    `${journal.id}-${agencyId}${language ? `-${language}` : ""}.csv`,
+  );
+  await fsExtra.ensureDir(journal.settings.outputDir);
+  await fs.promises.writeFile(csvPath, `${lines.join("\n")}\n`);
+  return csvPath;
+}
+
+// Export the CSVs of several agencies for a job, plus one per translation language
+async function exportJobCsvs(journal, agencyIds) {
+  const csvPaths = [];
+  for (const agencyId of agencyIds) {
+    for (const language of [null, ...getJobLanguages(journal)]) {
+      const csvPath = await exportAgencyCsv(journal, agencyId, language);
+      console.log(
+        chalk.green(
+          `✓ ${agencies[agencyId].name}${language ? ` (${getLanguageName(language)})` : ""} CSV exported: ${chalk.white(csvPath)}`,
+        ),
+      );
+      csvPaths.push(csvPath);
+    }
+  }
+  return csvPaths;
+}
+
+// Convert a glob pattern (*, **, ?, {a,b}) to a regular expression
+function globToRegExp(pattern) {
+  let source = "";
+  let braces = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      // "**/" matches any number of folders, including none
+      i++;
+      if (pattern[i + 1] === "/") {
+        i++;
+        source += "(?:.*/)?";
+      } else {
+        source += ".*";
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{") {
+      braces++;
+      source += "(?:";
+    } else if (char === "}" && braces > 0) {
+      braces--;
+      source += ")";
+    } else if (char === "," && braces > 0) {
+      source += "|";
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`, "i");
+}
+
+// Whether a relative path matches any pattern; patterns without a slash match the file or folder name
+function matchesAnyPattern(relativePath, patterns) {
+  return patterns.some((pattern) =>
+    globToRegExp(pattern).test(
+      pattern.includes("/") ? relativePath : path.posix.basename(relativePath),
+    ),
+  );
+}
+
+// List the images of the input directory as paths relative to it, following
+// subfolders when scanning recursively and applying the include/exclude patterns
+async function listInputImages(inputDir) {
+  // Folders the tool writes to are never scanned, even when nested in the input
+  const skippedDirs = [
+    config.outputDir,
+    config.archiveDir,
+    config.sidecarDir,
+    getFailedDir(inputDir),
+  ]
+    .filter(Boolean)
+    .map((dirPath) => path.resolve(dirPath));
+  const images = [];
+
+  const scan = async (relativeDir) => {
+    const entries = await fs.promises.readdir(
+      path.join(inputDir, relativeDir),
+      {
+        withFileTypes: true,
+      },
+    );
+    for (const entry of entries) {
+      const relativePath = relativeDir
+        ? `${relativeDir}/${entry.name}`
+        : entry.name;
+      if (matchesAnyPattern(relativePath, config.excludePatterns)) continue;
+
+      if (entry.isDirectory()) {
+        const dirPath = path.resolve(inputDir, relativePath);
+        if (
+          config.recursive &&
+          !entry.name.startsWith(".") &&
+          !skippedDirs.includes(dirPath)
+        ) {
+          await scan(relativePath);
+        }
+      } else if (
+        getMediaKind(entry.name) &&
+        (config.includePatterns.length === 0 ||
+          matchesAnyPattern(relativePath, config.includePatterns))
+      ) {
+        images.push(relativePath);
+      }
+    }
+  };
+
+  await scan("");
+  return images.sort();
+}
+
+// Folder that watch mode moves failed files to
+function getFailedDir(inputDir) {
+  return config.failedDir || path.join(inputDir, "failed");
+}
+
+// Subfolder names of an image, used as context hints for the AI
+function getFolderHints(file) {
+  return path.posix
+    .dirname(file.split(path.sep).join("/"))
+    .split("/")
+    .filter((name) => name && name !== ".");
+}
+
+// Run a worker over every item, with at most `concurrency` running at once
+async function runWithConcurrency(items, concurrency, worker) {
+  let next = 0;
+  const workers = Array.from(
+    { length: Math.min(concurrency, items.length) },
+    async () => {
+      while (next < items.length) {
+        const index = next++;
+        await worker(items[index], index);
+      }
+    },
+  );
+  await Promise.all(workers);
+}
+
+// Process all images in the input directory, or the unfinished files of a resumed job
+async function processAllImages(
+  inputDir,
+  outputDir,
+  aiModel,
+  apiKey,
+  profile,
+  {
+    journal = null,
+    files = null,
+    dryRun = false,
+    review = false,
+    sidecars = false,
+    recordHistory = true,
+  } = {},
+) {
+  // Initialize statistics object
+  const stats = {
+    total: 0,
+    success: 0,
+    failed: 0,
+    queued: 0,
+    skipped: 0,
+    stopped: 0,
+    generated: 0,
+    tokens: 0,
+    cost: 0,
+    titleChars: 0,
+    keywords: 0,
+  };
+  const startedAt = new Date();
+
+  try {
+    const provider = getProvider(aiModel);
+    let imageFiles;
+    if (journal) {
+      // Only the given files, or those not written, queued for review or skipped yet, need work
+      imageFiles =
+        files ||
+        Object.keys(journal.files).filter(
+          (file) =>
+            !["written", "review", "skipped"].includes(
+              journal.files[file].state,
+            ),
+        );
+      review = Boolean(journal.settings.review);
+      sidecars = Boolean(journal.settings.sidecars);
+    } else {
+      imageFiles = await listInputImages(inputDir);
+    }
+
+    stats.total = imageFiles.length;
+
+    if (imageFiles.length === 0) {
+      console.log(
+        chalk.yellow.bold(`\n─────────────── WARNING ────────────────`),
+      );
+      console.log(chalk.yellow(`No image files found in the input directory.`));
+      console.log(
+        chalk.yellow.bold(`────────────────────────────────────────\n`),
+      );
+      return stats;
+    }
+
+    console.log(
+      chalk.blue.bold(`\n─────────────── PROCESSING IMAGES ─────────────────`),
+    );
+    console.log(
+      chalk.blue(
+        `Found ${chalk.green(imageFiles.length)} image files to process.`,
+      ),
+    );
+
+    if (dryRun) {
+      review = false;
+      sidecars = false;
+      console.log(
+        chalk.yellow(`Dry run: no images will be written, moved or deleted.`),
+      );
+    } else if (journal) {
+      journal.status = "running";
+      saveJobJournal(journal);
+    } else {
+      journal = createJobJournal(
+        {
+          inputDir,
+          outputDir,
+          aiModel,
+          model: getProviderModel(provider),
+          profile,
+          review,
+          sidecars,
+          mergeStrategy: config.mergeStrategy,
+        },
+        imageFiles,
+      );
+    }
+    // Dry runs read a resumed job's journal but never write to it
+    const journaled = Boolean(journal) && !dryRun;
+    if (journal) {
+      stats.jobId = journal.id;
+      console.log(chalk.blue(`Job journal: ${chalk.green(journal.id)}`));
+    }
+    const model = journal ? journal.settings.model : getProviderModel(provider);
+    const price = getModelPrice(provider, model);
+    if (Number(config.budgetLimit) > 0) {
+      console.log(
+        price
+          ? chalk.blue(
+              `Budget cap: ${chalk.green(formatCost(Number(config.budgetLimit)))}`,
+            )
+          : chalk.yellow(
+              `Budget cap ignored: no price is known for ${model} (add one under modelPrices).`,
+            ),
+      );
+    }
+    // Without a price the run cost stays unknown, and free models never reach the cap
+    const budgetLimit =
+      price && (price.input > 0 || price.output > 0)
+        ? Number(config.budgetLimit) || 0
+        : 0;
+    const estimate =
+      budgetLimit > 0 ? estimateRunCost(provider, model, 1) : null;
+    if (sidecars) {
+      console.log(
+        chalk.yellow(
+          `Generate only: metadata goes to ${config.sidecarFormat.toUpperCase()} sidecars, images are not touched.`,
+        ),
+      );
+    } else if (review) {
+      console.log(
+        chalk.yellow(`Review mode: metadata is queued until you approve it.`),
+      );
+    }
+    console.log(
+      chalk.blue.bold(`───────────────────────────────────────────────────\n`),
+    );
+
+    let successCount = 0;
+    let failCount = 0;
+
+    // Workers take the next image until none are left
+    const processImage = async (file, i) => {
+      const imagePath = path.join(inputDir, file);
+      const outputPath = path.join(outputDir, file);
+
+      console.log(
+        chalk.cyan(`\nProcessing image ${i + 1}/${imageFiles.length}: ${file}`),
+      );
+
+      try {
+        let metadata;
+        if (journal && journal.files[file].metadata) {
+          // Reuse metadata paid for in an earlier run
+          metadata = journal.files[file].metadata;
+          console.log(
+            chalk.yellow(`↺ Using metadata generated in a previous run`),
+          );
+        } else {
+          // Read what the file already carries, to skip it or give the AI context
+          const existing = await readExistingMetadata(imagePath);
+          if (config.skipTagged && isFullyTagged(existing, profile)) {
+            if (journaled) {
+              updateJobFile(journal, file, { state: "skipped", error: null });
+            }
+            console.log(chalk.gray(`⏭️ Skipped (already tagged): ${file}`));
+            stats.skipped++;
+            return;
+          }
+
+          // Generate metadata using selected AI model
+          const generated = await generateMetadata(
+            imagePath,
+            provider,
+            apiKey,
+            profile,
+            journal ? journal.settings.model : undefined,
+            {
+              existing,
+              folders: config.folderContext ? getFolderHints(file) : [],
+            },
+          );
+          // Translations are made from the merged metadata, so they match what is written
+          metadata = await addTranslations(
+            mergeMetadata(
+              existing,
+              generated,
+              (journal && journal.settings.mergeStrategy) ||
+                config.mergeStrategy,
+              profile,
+            ),
+            provider,
+            apiKey,
+            profile,
+            journal ? journal.settings.model : undefined,
+            imagePath,
+          );
+          stats.generated++;
+          stats.titleChars += generated.title.length;
+          stats.keywords += generated.tags.length;
+          if (metadata.tokenInfo) {
+            stats.tokens += metadata.tokenInfo.total || 0;
+          }
+          if (metadata.cost !== undefined) {
+            stats.cost += metadata.cost;
+            console.log(
+              chalk.blue(
+                `  Cost: ${chalk.yellow(formatCost(metadata.cost))} (run total ${chalk.yellow(formatCost(stats.cost))})`,
+              ),
+            );
+          }
+          if (journaled) {
+            updateJobFile(journal, file, {
+              state: "generated",
+              metadata,
+              error: null,
+            });
+          }
+        }
+
+        if (dryRun) {
+          console.log(chalk.yellow(`✓ Dry run: ${file} left untouched`));
+        } else if (sidecars) {
+          const sidecarPath = await writeSidecar(
+            imagePath,
+            metadata,
+            journal.settings,
+          );
+          updateJobFile(journal, file, {
+            state: "written",
+            sidecar: sidecarPath,
+            error: null,
+          });
+          console.log(chalk.green(`✓ Sidecar written: ${sidecarPath}`));
+        } else if (review) {
+          updateJobFile(journal, file, { state: "review", error: null });
+          console.log(chalk.yellow(`✓ Queued for review: ${file}`));
+          stats.queued++;
+        } else {
+          // Write metadata to image
+          const success = await writeMetadataToImage(
+            imagePath,
+            outputPath,
+            metadata,
+          );
+
+          if (success) {
+            await handleOriginalImage(imagePath, outputPath, metadata, file);
+          }
+
+          updateJobFile(journal, file, { state: "written", error: null });
+        }
+
+        console.log(chalk.green(`✓ Processed: ${file}`));
+        console.log(
+          chalk.green(
+            `  Title: ${metadata.title} (${metadata.title.length} chars)`,
+          ),
+        );
+        if (metadata.description) {
+          console.log(chalk.green(`  Description: ${metadata.description}`));
+        }
+        console.log(chalk.green(`  Tags: ${metadata.tags.length} keywords`));
+        console.log(chalk.green(`  Tags: ${metadata.tags.join(", ")}`));
+        Object.entries(metadata.translations || {}).forEach(
+          ([language, translation]) => {
+            console.log(
+              chalk.green(
+                `  ${getLanguageName(language)}: ${translation.title}`,
+              ),
+            );
+            console.log(
+              chalk.green(
+                `    ${translation.tags.length} keywords: ${translation.tags.join(", ")}`,
+              ),
+            );
+          },
+        );
+
+        describeClassification(metadata).forEach((line) => {
+          console.log(
+            (line.startsWith("License: editorial")
+              ? chalk.yellow
+              : chalk.green)(`  ${line}`),
+          );
+        });
+
+        // Display token usage if available
+        if (config.showTokens && metadata.tokenInfo) {
+          console.log(chalk.blue.bold(`  Token usage:`));
+          Object.entries(metadata.tokenInfo).forEach(([key, value]) => {
+            console.log(chalk.blue(`    ├─ ${key}: ${chalk.yellow(value)}`));
+          });
+        }
+
+        // Report title problems the corrective requests could not fix
+        findTitleProblems(metadata.title, profile).forEach((problem) => {
+          console.log(
+            chalk.yellow(
+              `  ⚠️ Note: ${problem.replace(/^"title"/, "Title")} (${profile.name} profile).`,
+            ),
+          );
+        });
+        if (metadata.tags.length < profile.keywordsMin) {
+          console.log(
+            chalk.yellow(
+              `  ⚠️ Note: Only ${metadata.tags.length} keywords, the ${profile.name} minimum is ${profile.keywordsMin}.`,
+            ),
+          );
+        }
+
+        successCount++;
+        stats.success++;
+      } catch (error) {
+        console.error(
+          chalk.red(`✗ Failed to process ${file}: ${error.message}`),
+        );
+        if (journaled) {
+          updateJobFile(journal, file, {
+            state: "failed",
+            error: error.message,
+          });
+        }
+        failCount++;
+        stats.failed++;
+      }
+    };
+
+    // Reserve the expected cost of each image before starting it, so images in
+    // progress together (with their follow-up and translation requests) stay within
+    // the budget cap. The expected cost is the run's average so far, or the average
+    // of earlier jobs; without either, the first image runs alone to find it out.
+    let reservedCost = 0;
+    let inProgress = 0;
+    const processWithinBudget = async (file, i) => {
+      if (budgetLimit === 0) return processImage(file, i);
+
+      const expectedCost = () =>
+        stats.generated > 0
+          ? stats.cost / stats.generated
+          : estimate && estimate.costPerImage;
+      while (inProgress > 0 && expectedCost() === null) {
+        await sleep(200);
+      }
+      const reserved = expectedCost() || 0;
+
+      // Images that would pass the cap stay pending for a resume
+      if (
+        stats.budgetReached ||
+        stats.cost + reservedCost + reserved > budgetLimit
+      ) {
+        if (!stats.budgetReached) {
+          stats.budgetReached = true;
+          console.log(
+            chalk.yellow.bold(
+              `\n⚠️ Budget cap of ${formatCost(budgetLimit)} has no room for another image, stopping after the images in progress.`,
+            ),
+          );
+        }
+        stats.stopped++;
+        return;
+      }
+
+      reservedCost += reserved;
+      inProgress++;
+      try {
+        await processImage(file, i);
+      } finally {
+        reservedCost -= reserved;
+        inProgress--;
+      }
+    };
+
+    await runWithConcurrency(
+      imageFiles,
+      Math.max(1, parseInt(config.concurrency) || 1),
+      processWithinBudget,
+    );
+
+    // Dry runs write nothing, so they stay out of the history and its totals
+    if (recordHistory && !dryRun) {
+      recordRun(
+        buildRunRecord(
+          stats,
+          {
+            aiModel,
+            model,
+            profile,
+            mode: sidecars ? "sidecars" : review ? "review" : "process",
+          },
+          startedAt,
+        ),
+      );
+    }
+
+    if (journaled) {
+      journal.status = stats.budgetReached ? "stopped" : "completed";
+      saveJobJournal(journal);
+
+      if (config.exportAgencies.length > 0) {
+        console.log("");
+        stats.exports = await exportJobCsvs(journal, config.exportAgencies);
+      }
+    }
+  } catch (error) {
+    // The run itself failed (no input listing, no journal), not a single image
+    stats.fatal = error.message;
+    console.log(chalk.red.bold(`\n─────────────── ERROR ────────────────`));
+    console.log(chalk.red(`Error processing images: ${error.message}`));
+    console.log(chalk.red.bold(`───────────────────────────────────────\n`));
+  }
+
+  return stats;
+}
+
+// Main menu function
+async function showMainMenu() {
+  try {
+    // Clear screen and display current configuration
+    console.clear();
+    displayCurrentConfig();
+
+    const answers = await inquirer.prompt([
+      {
+        type: "list",
+        name: "action",
+        message: "What would you like to do?",
+        choices: [
+          { name: "📂 Input/Output Settings", value: "inputOutputSettings" },
+          { name: "⚙️ Metadata Settings", value: "metadataSettings" },
+          { name: "🤖 AI Provider Settings", value: "aiSettings" },
+          { name: "🙏🏻 Process Images", value: "processImages" },
+          { name: "👀 Watch Input Folder", value: "watchFolder" },
+          { name: "⏯️ Resume Unfinished Job", value: "resumeJob" },
+          { name: "📝 Review Queued Metadata", value: "reviewQueue" },
+          { name: "📥 Apply Metadata Sidecars", value: "applySidecars" },
+          { name: "📤 Export Agency CSVs", value: "exportCsv" },
+          { name: "📊 History & Stats", value: "history" },
+          { name: "❌ Exit", value: "exit" },
+        ],
+      },
+    ]);
+
+    switch (answers.action) {
+      case "inputOutputSettings":
+        await showInputOutputMenu();
+        break;
+      case "metadataSettings":
+        await showMetadataMenu();
+        break;
+      case "aiSettings":
+        await showAiMenu();
+        break;
+      case "processImages":
+        await processImages();
+        break;
+      case "watchFolder":
+        await watchFolderMenu();
+        break;
+      case "resumeJob":
+        await resumeJob();
+        break;
+      case "reviewQueue":
+        await reviewQueueMenu();
+        break;
+      case "applySidecars":
+        await applySidecarsMenu();
+        break;
+      case "exportCsv":
+        await exportCsvMenu();
+        break;
+      case "history":
+        await showHistoryMenu();
+        break;
+      case "exit":
+        console.log(
+          chalk.cyan.bold("\n┌─────────────────────────────────────────┐"),
+        );
+        console.log(
+          chalk.cyan.bold("│  Thank you for using Image Metadata CLI │"),
+        );
+        console.log(
+          chalk.cyan.bold("│              Goodbye!                   │"),
+        );
+        console.log(
+          chalk.cyan.bold("└─────────────────────────────────────────┘\n"),
+        );
+        await exiftool.end();
+        process.exit(0);
+    }
+
+    // Show the main menu again
+    await showMainMenu();
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    await showMainMenu();
+  }
+}
+
+// Set input directory
+async function setInputDirectory() {
+  const answers = await inquirer.prompt([
+    {
+      type: "input",
+      name: "inputDir",
+      message: "Enter the path to your input directory:",
+      default: config.inputDir,
+      validate: validateDirectory,
+    },
+  ]);
+
+  config.inputDir = answers.inputDir;
+  saveConfig();
+  console.log(
+    chalk.cyan.bold(
+      `\n─────────────── INPUT DIRECTORY UPDATED ────────────────`,
+    ),
+  );
+  console.log(
+    chalk.cyan(`Input directory set to: ${chalk.green(answers.inputDir)}`),
+  );
+  console.log(
+    chalk.cyan.bold(
+      `────────────────────────────────────────────────────────\n`,
+    ),
+  );
+}
+
+// Set output directory
+async function setOutputDirectory() {
+  const answers = await inquirer.prompt([
+    {
+      type: "input",
+      name: "outputDir",
+      message: "Enter the path to your output directory:",
+      default: config.outputDir,
+      validate: (dirPath) => {
+        if (!dirPath) return "Directory path cannot be empty";
+        // Create directory if it doesn't exist
+        if (!directoryExists(dirPath)) {
+          try {
+            fs.mkdirSync(dirPath, { recursive: true });
+            console.log(chalk.yellow(`Created directory: ${dirPath}`));
+          } catch (error) {
+            return `Could not create directory: ${error.message}`;
+          }
+        }
+        return true;
+      },
+    },
+  ]);
+
+  config.outputDir = answers.outputDir;
+  saveConfig();
+  console.log(
+    chalk.cyan.bold(
+      `\n─────────────── OUTPUT DIRECTORY UPDATED ────────────────`,
+    ),
+  );
+  console.log(
+    chalk.cyan(`│ Output directory set to: ${chalk.green(answers.outputDir)}`),
+  );
+  console.log(
+    chalk.cyan.bold(
+      `─────────────────────────────────────────────────────────\n`,
+    ),
+  );
+}
+
+// Set what happens to originals after processing
+async function setOriginalsPolicy() {
+  const answers = await inquirer.prompt([
+    {
+      type: "list",
+      name: "originalsPolicy",
+      message: "What should happen to original images after processing?",
+      choices: originalsPolicies,
+      default: config.originalsPolicy,
+    },
+    {
+      type: "input",
+      name: "archiveDir",
+      message: "Enter the path to your archive directory:",
+      default: config.archiveDir,
+      when: (current) => current.originalsPolicy === "move",
+      validate: (dirPath) =>
+        dirPath ? true : "Directory path cannot be empty",
+    },
+  ]);
+
+  config.originalsPolicy = answers.originalsPolicy;
+  if (answers.archiveDir) {
+    config.archiveDir = answers.archiveDir;
+  }
+  saveConfig();
+  console.log(
+    chalk.cyan.bold(
+      `\n─────────────── ORIGINALS POLICY UPDATED ────────────────`,
+    ),
+  );
+  console.log(
+    chalk.cyan(`Originals: ${chalk.green(describeOriginalsPolicy())}`),
+  );
+  console.log(
+    chalk.cyan.bold(
+      `─────────────────────────────────────────────────────────\n`,
+    ),
+  );
+}
+
+// Set subfolder scanning, include/exclude patterns and folder hints
+async function setScanning() {
+  const answers = await inquirer.prompt([
+    {
+      type: "confirm",
+      name: "recursive",
+      message:
+        "Scan subfolders of the input directory (mirrored in the output)?",
+      default: config.recursive,
+    },
+    {
+      type: "input",
+      name: "includePatterns",
+      message:
+        "Only include files matching (comma-separated globs, e.g. *.jpg, client-*/**, empty for all):",
+      default: config.includePatterns.join(", "),
+    },
+    {
+      type: "input",
+      name: "excludePatterns",
+      message: "Exclude files and folders matching (comma-separated globs):",
+      default: config.excludePatterns.join(", "),
+    },
+    {
+      type: "confirm",
+      name: "folderContext",
+      message: "Pass subfolder names to the AI as hints (e.g. the shoot name)?",
+      default: config.folderContext,
+      when: (current) => current.recursive,
+    },
+  ]);
+
+  config.recursive = answers.recursive;
+  config.includePatterns = parsePatternList(answers.includePatterns);
+  config.excludePatterns = parsePatternList(answers.excludePatterns);
+  config.folderContext = Boolean(answers.folderContext);
+  saveConfig();
+  console.log(
+    chalk.cyan.bold(`\n─────────────── SCANNING UPDATED ────────────────`),
+  );
+  console.log(chalk.cyan(`Scanning: ${chalk.green(describeScanning())}`));
+  console.log(
+    chalk.cyan.bold(`─────────────────────────────────────────────────\n`),
+  );
+}
+
+// Set the sidecar format and folder used by generate-only runs
+async function setSidecarSettings() {
+  const answers = await inquirer.prompt([
+    {
+      type: "list",
+      name: "sidecarFormat",
+      message: "Which sidecar format should generate-only runs write?",
+      choices: sidecarFormats,
+      default: config.sidecarFormat,
+    },
+    {
+      type: "input",
+      name: "sidecarDir",
+      message:
+        "Sidecar directory (leave empty to keep sidecars next to the images):",
+      default: config.sidecarDir,
+    },
+  ]);
+
+  config.sidecarFormat = answers.sidecarFormat;
+  config.sidecarDir = answers.sidecarDir.trim();
+  saveConfig();
+  console.log(
+    chalk.cyan.bold(`\n─────────────── SIDECARS UPDATED ────────────────`),
+  );
+  console.log(chalk.cyan(`Sidecars: ${chalk.green(describeSidecars())}`));
+  console.log(
+    chalk.cyan.bold(`────────────────────────────────────────────────\n`),
+  );
+}
+
+// Set where RAW and video metadata goes and how videos are sampled
+async function setMediaSettings() {
+  const answers = await inquirer.prompt([
+    {
+      type: "list",
+      name: "rawMetadataTarget",
+      message:
+        "Where should metadata for RAW files (CR2, NEF, ARW, DNG...) go?",
+      choices: metadataTargets,
+      default: config.rawMetadataTarget,
+    },
+    {
+      type: "list",
+      name: "videoMetadataTarget",
+      message: "Where should metadata for videos (MP4, MOV) go?",
+      choices: metadataTargets,
+      default: config.videoMetadataTarget,
+    },
+    {
+      type: "number",
+      name: "videoFrames",
+      message: "How many frames should be sampled from each video?",
+      default: config.videoFrames,
+      validate: (value) => {
+        if (isNaN(value) || value < 1) {
+          return "Please enter a positive number";
+        }
+        return true;
+      },
+    },
+    {
+      type: "input",
+      name: "ffmpegPath",
+      message: "ffmpeg binary used to sample video frames:",
+      default: config.ffmpegPath,
+    },
+  ]);
+
+  config.rawMetadataTarget = answers.rawMetadataTarget;
+  config.videoMetadataTarget = answers.videoMetadataTarget;
+  config.videoFrames = Math.round(answers.videoFrames);
+  config.ffmpegPath = answers.ffmpegPath.trim() || "ffmpeg";
+  saveConfig();
+  console.log(
+    chalk.cyan.bold(`\n─────────────── RAW AND VIDEO UPDATED ────────────────`),
+  );
+  console.log(
+    chalk.cyan(`RAW and video: ${chalk.green(describeMediaHandling())}`),
+  );
+  console.log(
+    chalk.cyan.bold(`──────────────────────────────────────────────────────\n`),
+  );
+}
+
+// Set title length range
+async function setTitleLength() {
+  const answers = await inquirer.prompt([
+    {
+      type: "number",
+      name: "minTitleChars",
+      message: "Enter the minimum number of characters for the title:",
+      default: config.minTitleChars,
+      validate: (value) => {
+        if (isNaN(value) || value < 0) {
+          return "Please enter a non-negative number";
+        }
+        return true;
+      },
+    },
+    {
+      type: "number",
+      name: "maxTitleChars",
+      message: "Enter the maximum number of characters for the title:",
+      default: config.maxTitleChars,
+      validate: (value, current) => {
+        if (isNaN(value) || value <= 0) {
+          return "Please enter a positive number";
+        }
+        if (value < current.minTitleChars) {
+          return "Maximum must not be less than the minimum";
+        }
+        return true;
+      },
+    },
+  ]);
+
+  config.minTitleChars = answers.minTitleChars;
+  config.maxTitleChars = answers.maxTitleChars;
+  saveConfig();
+  console.log(
+    chalk.cyan.bold(`\n─────────────── TITLE LENGTH UPDATED ────────────────`),
+  );
+  console.log(
+    chalk.cyan(
+      `Title length set to: ${chalk.green(`${answers.minTitleChars}-${answers.maxTitleChars}`)} characters`,
+    ),
+  );
+  console.log(
+    chalk.cyan.bold(`─────────────────────────────────────────────────────\n`),
+  );
+}
+
+// Select the prompt template, optionally copying a bundled one to edit it
+async function selectPromptTemplate() {
+  const templates = listPromptTemplates();
+  const { name } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "name",
+      message: "Select the prompt template:",
+      choices: Object.entries(templates).map(([name, templatePath]) => ({
+        name: `${name} ${chalk.gray(templatePath)}`,
+        value: name,
+      })),
+      default: config.promptTemplate,
+    },
+  ]);
+
+  config.promptTemplate = name;
+  saveConfig();
+
+  // Bundled templates are edited as a copy, so updates never overwrite your changes
+  let templatePath = templates[name];
+  if (path.dirname(templatePath) !== templatesDirPath) {
+    const { copy } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "copy",
+        message: `Copy it to ${templatesDirPath} to edit it?`,
+        default: false,
+      },
+    ]);
+    if (copy) {
+      await fsExtra.ensureDir(templatesDirPath);
+      templatePath = path.join(templatesDirPath, `${name}.txt`);
+      await fsExtra.copy(templates[name], templatePath);
+    }
+  }
+
+  console.log(
+    chalk.cyan.bold(
+      `\n─────────────── PROMPT TEMPLATE UPDATED ────────────────`,
+    ),
+  );
+  console.log(chalk.cyan(`Prompt template: ${chalk.green(name)}`));
+  console.log(chalk.cyan(`File: ${chalk.green(templatePath)}`));
+  const profile = config.customProfiles[config.profile];
+  if (profile && profile.promptTemplate && profile.promptTemplate !== name) {
+    console.log(
+      chalk.yellow(
+        `The ${profile.name || config.profile} profile uses its own template: ${profile.promptTemplate}`,
+      ),
+    );
+  }
+  console.log(
+    chalk.cyan.bold(
+      `────────────────────────────────────────────────────────\n`,
+    ),
+  );
+}
+
+// Show the prompt a profile would send for a file, or for a sample file name
+async function previewPrompt(profile, file = null) {
+  const template = loadPromptTemplate(getPromptTemplateName(profile));
+  const context = { filename: "example.jpg" };
+  if (file) {
+    context.filename = path.basename(file);
+    context.existing = await readExistingMetadata(file);
+    const relativePath = path.relative(config.inputDir, file);
+    if (config.folderContext && !relativePath.startsWith("..")) {
+      context.folders = getFolderHints(relativePath);
+    }
+    if (getMediaKind(file) === "video") {
+      context.frames = Math.max(1, parseInt(config.videoFrames) || 1);
+    }
+  }
+  const prompt = renderPromptTemplate(
+    template,
+    buildPromptVariables(profile, context, template.examples),
+  );
+
+  console.log(
+    chalk.blue.bold(`\n─────────────── PROMPT PREVIEW ────────────────`),
+  );
+  console.log(
+    chalk.blue(`Template: ${chalk.green(template.name)} (${template.path})`),
+  );
+  if (template.examplesPath) {
+    console.log(
+      chalk.blue(
+        `Examples: ${chalk.green(template.examples.length)} from ${template.examplesPath}`,
+      ),
+    );
+  }
+  console.log(chalk.blue(`Profile: ${chalk.green(describeProfile(profile))}`));
+  console.log(chalk.blue(`File: ${chalk.green(file || context.filename)}`));
+  console.log(
+    chalk.blue.bold(`───────────────────────────────────────────────\n`),
+  );
+  console.log(prompt);
+  console.log(
+    chalk.gray(
+      `\n${prompt.length} characters, about ${Math.ceil(prompt.length / 4)} tokens`,
+    ),
+  );
+}
+
+// Set the metadata language and the languages it is translated into
+async function setLanguageSettings() {
+  const answers = await inquirer.prompt([
+    {
+      type: "input",
+      name: "language",
+      message: "Language metadata is generated in:",
+      default: config.language,
+      validate: (value) => (value.trim() ? true : "Please enter a language"),
+    },
+    {
+      type: "input",
+      name: "translations",
+      message:
+        "Also translate into (comma-separated language codes such as de, ja, es, empty for none):",
+      default: config.translations.join(", "),
+      validate: validateLanguageList,
+    },
+  ]);
+
+  config.language = answers.language.trim();
+  config.translations = parseLanguageList(answers.translations);
+  saveConfig();
+  console.log(
+    chalk.cyan.bold(`\n─────────────── LANGUAGE UPDATED ────────────────`),
+  );
+  console.log(chalk.cyan(`Metadata language: ${chalk.green(config.language)}`));
+  console.log(
+    chalk.cyan(
+      `Translations: ${chalk.green(
+        config.translations.length > 0
+          ? config.translations
+              .map((language) => `${getLanguageName(language)} (${language})`)
+              .join(", ")
+          : "none",
+      )}`,
+    ),
+  );
+  // Custom profiles can set their own language and translations
+  console.log(
+    chalk.cyan(
+      `Active profile: ${chalk.green(describeProfile(getActiveProfile()))}`,
+    ),
+  );
+  console.log(
+    chalk.cyan.bold(`─────────────────────────────────────────────────\n`),
+  );
+}
+
+// Preview the prompt for the first file of the input directory
+async function previewPromptMenu() {
+  let file = null;
+  if (directoryExists(config.inputDir)) {
+    const [first] = await listInputImages(config.inputDir);
+    if (first) file = path.join(config.inputDir, first);
+  }
+  try {
+    await previewPrompt(getActiveProfile(), file);
+  } catch (error) {
+    console.log(chalk.red(`Could not render the prompt: ${error.message}`));
+  }
+  console.log("");
+}
+
+// Select the metadata profile
+async function selectProfile() {
+  const answers = await inquirer.prompt([
+    {
+      type: "list",
+      name: "profile",
+      message: "Select the metadata profile to use:",
+      choices: Object.values(listMetadataProfiles()).map((profile) => ({
+        name: describeProfile(profile),
+        value: profile.id,
+      })),
+      default: config.profile,
+    },
+  ]);
+
+  config.profile = answers.profile;
+  saveConfig();
+  console.log(
+    chalk.cyan.bold(`\n─────────────── PROFILE UPDATED ────────────────`),
+  );
+  console.log(
+    chalk.cyan(
+      `Metadata profile set to: ${chalk.green(describeProfile(getActiveProfile()))}`,
+    ),
+  );
+  console.log(
+    chalk.cyan.bold(`────────────────────────────────────────────────\n`),
+  );
+}
+
+// Create or edit a custom metadata profile
+async function editCustomProfile() {
+  const { id } = await inquirer.prompt([
+    {
+      type: "input",
+      name: "id",
+      message: "Enter the profile id (an existing custom id edits it):",
+      validate: (value) => {
+        if (!/^[a-z0-9-]+$/.test(value)) {
+          return "Use lowercase letters, numbers and dashes only";
+        }
+        if (value === "default" || metadataProfiles[value]) {
+          return "This id belongs to a built-in profile";
+        }
+        return true;
+      },
+    },
+  ]);
+  const current = resolveMetadataProfile(
+    config.customProfiles[id] ? id : config.profile,
+  );
+  const validateCount = (value) =>
+    Number.isInteger(value) && value >= 0
+      ? true
+      : "Please enter a non-negative whole number";
+
+  const answers = await inquirer.prompt([
+    {
+      type: "input",
+      name: "name",
+      message: "Enter the profile name:",
+      default: config.customProfiles[id] ? current.name : id,
+    },
+    {
+      type: "number",
+      name: "titleMinChars",
+      message: "Minimum title characters:",
+      default: current.titleMinChars,
+      validate: validateCount,
+    },
+    {
+      type: "number",
+      name: "titleMaxChars",
+      message: "Maximum title characters:",
+      default: current.titleMaxChars,
+      validate: (value, answered) =>
+        validateCount(value) === true && value >= answered.titleMinChars
+          ? true
+          : "Please enter a number not less than the minimum",
+    },
+    {
+      type: "number",
+      name: "keywordsMin",
+      message: "Minimum keywords:",
+      default: current.keywordsMin,
+      validate: validateCount,
+    },
+    {
+      type: "number",
+      name: "keywordsMax",
+      message: "Maximum keywords:",
+      default: current.keywordsMax,
+      validate: (value, answered) =>
+        validateCount(value) === true && value >= answered.keywordsMin
+          ? true
+          : "Please enter a number not less than the minimum",
+    },
+    {
+      type: "input",
+      name: "forbiddenWords",
+      message: "Forbidden words (comma-separated):",
+      default: current.forbiddenWords.join(", "),
+    },
+    {
+      type: "confirm",
+      name: "description",
+      message: "Generate a separate description field?",
+      default: current.description,
+    },
+    {
+      type: "number",
+      name: "descriptionMaxChars",
+      message: "Maximum description characters:",
+      default: current.descriptionMaxChars,
+      when: (answered) => answered.description,
+      validate: validateCount,
+    },
+    {
+      type: "input",
+      name: "language",
+      message: "Metadata language:",
+      default: current.language,
+    },
+    {
+      type: "input",
+      name: "translations",
+      message:
+        "Translate into (comma-separated language codes, empty to use the metadata settings):",
+      default: ((config.customProfiles[id] || {}).translations || []).join(
+        ", ",
+      ),
+      validate: validateLanguageList,
+    },
+    {
+      type: "list",
+      name: "promptTemplate",
+      message: "Prompt template:",
+      choices: [
+        { name: "Use the selected prompt template", value: "" },
+        ...Object.keys(listPromptTemplates()),
+      ],
+      default: (config.customProfiles[id] || {}).promptTemplate || "",
+    },
+  ]);
+
+  config.customProfiles = {
+    ...config.customProfiles,
+    [id]: {
+      ...answers,
+      forbiddenWords: answers.forbiddenWords
+        .split(",")
+        .map((word) => word.trim().toLowerCase())
+        .filter(Boolean),
+      descriptionMaxChars:
+        answers.descriptionMaxChars ?? current.descriptionMaxChars,
+      promptTemplate: answers.promptTemplate || undefined, // not saved when empty
+      translations: parseLanguageList(answers.translations).length
+        ? parseLanguageList(answers.translations)
+        : undefined,
+    },
+  };
+  config.profile = id;
+  saveConfig();
+  console.log(
+    chalk.cyan.bold(`\n─────────────── PROFILE SAVED ────────────────`),
+  );
+  console.log(
+    chalk.cyan(
+      `Metadata profile set to: ${chalk.green(describeProfile(getActiveProfile()))}`,
+    ),
+  );
+  console.log(
+    chalk.cyan.bold(`──────────────────────────────────────────────\n`),
+  );
+}
+
+// Set tag count range
+async function setTagCount() {
+  const answers = await inquirer.prompt([
+    {
+      type: "number",
+      name: "minTags",
+      message: "Enter the minimum number of tags:",
+      default: config.minTags,
+      validate: (value) => {
+        if (isNaN(value) || value < 0) {
+          return "Please enter a non-negative number";
+        }
+        return true;
+      },
+    },
+    {
+      type: "number",
+      name: "maxTags",
+      message: "Enter the maximum number of tags:",
+      default: config.maxTags,
+      validate: (value, current) => {
+        if (isNaN(value) || value <= 0) {
+          return "Please enter a positive number";
+        }
+        if (value < current.minTags) {
+          return "Maximum must not be less than the minimum";
+        }
+        return true;
+      },
+    },
+  ]);
+
+  config.minTags = answers.minTags;
+  config.maxTags = answers.maxTags;
+  saveConfig();
+  console.log(
+    chalk.cyan.bold(`\n─────────────── TAG COUNT UPDATED ────────────────`),
+  );
+  console.log(
+    chalk.cyan(
+      `Tag count set to: ${chalk.green(`${answers.minTags}-${answers.maxTags}`)} keywords`,
+    ),
+  );
+  console.log(
+    chalk.cyan.bold(`──────────────────────────────────────────────────\n`),
+  );
+}
+
+// Set API keys
+async function setApiKeys() {
+  const keyedProviders = Object.values(providers).filter(
+    (provider) => provider.apiKeyField,
+  );
+  const answers = await inquirer.prompt(
+    keyedProviders.map((provider) => ({
+      type: "password",
+      name: provider.apiKeyField,
+      message: `Enter your ${provider.name} API key:`,
+      default: config[provider.apiKeyField],
+      mask: "*",
+    })),
+  );
+
+  keyedProviders.forEach((provider) => {
+    config[provider.apiKeyField] = answers[provider.apiKeyField];
+  });
+  saveConfig();
+  console.log(
+    chalk.cyan.bold(`\n─────────────── API KEYS UPDATED ────────────────`),
+  );
+  console.log(chalk.cyan(`API keys saved successfully`));
+  console.log(
+    chalk.cyan.bold(`─────────────────────────────────────────────────\n`),
+  );
+}
+
+// Select AI model
+async function selectAiModel() {
+  const answers = await inquirer.prompt([
+    {
+      type: "list",
+      name: "aiModel",
+      message: "Select the AI to use:",
+      choices: Object.values(providers).map((provider) => ({
+        name: provider.name,
+        value: provider.id,
+      })),
+      default: config.aiModel,
+    },
+  ]);
+
+  config.aiModel = answers.aiModel;
+  saveConfig();
+  const aiName = chalk.green(getProvider(answers.aiModel).name);
+  console.log(
+    chalk.cyan.bold(`\n─────────────── AI PROVIDER UPDATED ────────────────`),
+  );
+  console.log(chalk.cyan(`AI Provider set to: ${aiName}`));
+  console.log(
+    chalk.cyan.bold(`────────────────────────────────────────────────────\n`),
+  );
+}
+
+// Set local model endpoint
+async function setLocalEndpoint() {
+  const answers = await inquirer.prompt([
+    {
+      type: "list",
+      name: "localApiType",
+      message: "Select the API your local server speaks:",
+      choices: [
+        { name: "Ollama", value: "ollama" },
+        {
+          name: "OpenAI-compatible (vLLM, LM Studio, llama.cpp...)",
+          value: "openai",
+        },
+      ],
+      default: config.localApiType,
+    },
+    {
+      type: "input",
+      name: "localBaseUrl",
+      message: "Enter the base URL of the local server:",
+      default: (current) =>
+        current.localApiType === config.localApiType
+          ? config.localBaseUrl
+          : current.localApiType === "openai"
+            ? "http://localhost:8000/v1"
+            : "http://localhost:11434",
+      validate: (value) => {
+        try {
+          new URL(value);
+          return true;
+        } catch (error) {
+          return "Please enter a valid URL (e.g. http://localhost:11434)";
+        }
+      },
+    },
+    {
+      type: "input",
+      name: "localModel",
+      message: "Enter the model name (e.g. llava, qwen2.5vl):",
+      default: config.localModel,
+      validate: (value) => (value.trim() ? true : "Model name cannot be empty"),
+    },
+  ]);
+
+  config.localApiType = answers.localApiType;
+  config.localBaseUrl = answers.localBaseUrl;
+  config.localModel = answers.localModel.trim();
+  saveConfig();
+  console.log(
+    chalk.cyan.bold(
+      `\n─────────────── LOCAL ENDPOINT UPDATED ────────────────`,
+    ),
+  );
+  console.log(
+    chalk.cyan(`Local endpoint set to: ${chalk.green(config.localBaseUrl)}`),
+  );
+  console.log(
+    chalk.cyan(`Local model set to: ${chalk.magenta(config.localModel)}`),
+  );
+  console.log(
+    chalk.cyan.bold(
+      `───────────────────────────────────────────────────────\n`,
+    ),
+  );
+}
+
+// Check whether text contains a forbidden word or phrase
+function containsForbiddenWord(text, forbiddenWords) {
+  const normalize = (value) =>
+    value
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, " ")
+      .trim();
+  const normalized = ` ${normalize(text)} `;
+  return forbiddenWords.some(
+    (word) => normalize(word) && normalized.includes(` ${normalize(word)} `),
+  );
+}
+
+// Whether a profile's metadata is in English, where word-level checks
+// (plural forms, function words) apply
+function isEnglishProfile(profile) {
+  return /^english$/i.test(profile.language || "English");
+}
+
+// Short words that join the parts of an English title; a title never ends with one
+const titleFunctionWords = [
+  "a",
+  "an",
+  "the",
+  "and",
+  "or",
+  "but",
+  "of",
+  "in",
+  "on",
+  "at",
+  "to",
+  "for",
+  "with",
+  "without",
+  "by",
+  "from",
+  "into",
+  "over",
+  "under",
+  "near",
+  "during",
+  "while",
+  "as",
+  "is",
+  "are",
+  "its",
+  "their",
+  "his",
+  "her",
+  "this",
+  "that",
+];
+
+// Replace punctuation and symbols in a title with spaces, keeping apostrophes and
+// hyphens inside words ("children's", "close-up")
+function stripTitleSymbols(title) {
+  return title
+    .replace(/[^\p{L}\p{N}\s'’-]/gu, " ")
+    .replace(/(?<!\p{L})['’-]|['’-](?!\p{L})/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Cut a title to the profile maximum at a word boundary, then drop function words
+// left dangling at the end ("... on a beach at")
+function trimTitle(title, profile) {
+  const words = truncateAtWord(title.trim(), profile.titleMaxChars).split(" ");
+  if (isEnglishProfile(profile)) {
+    while (
+      words.length > 1 &&
+      titleFunctionWords.includes(words[words.length - 1].toLowerCase())
+    ) {
+      words.pop();
+    }
+  }
+  return words.join(" ").replace(/[\s,;:-]+$/, "");
+}
+
+// Problems with a title, phrased for a corrective request: length, punctuation and
+// symbols, repeated words, a dangling last word, forbidden words and keyword stuffing
+function findTitleProblems(title, profile) {
+  const problems = [];
+  if (title.length < profile.titleMinChars) {
+    problems.push(
+      `"title" has ${title.length} characters, it needs at least ${profile.titleMinChars}`,
+    );
+  } else if (title.length > profile.titleMaxChars) {
+    problems.push(
+      `"title" has ${title.length} characters, it must not exceed ${profile.titleMaxChars}`,
+    );
+  }
+
+  // Apostrophes and hyphens inside a word ("children's", "close-up") are allowed
+  const symbols = [
+    ...new Set(
+      title
+        .replace(/(\p{L})['’-](?=\p{L})/gu, "$1")
+        .match(/[^\p{L}\p{N}\s]/gu) || [],
+    ),
+  ];
+  if (symbols.length > 0) {
+    problems.push(
+      `"title" contains punctuation or symbols (${symbols.join(" ")}), use words only`,
+    );
+  }
+
+  const english = isEnglishProfile(profile);
+  const words = title
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}'’-]+/u)
+    .filter(Boolean);
+  const seen = new Set();
+  const repeated = new Set();
+  words.forEach((word, index) => {
+    if (index > 0 && word === words[index - 1]) repeated.add(word);
+    // Short and function words may come back ("a dog and a cat")
+    if (word.length <= 3 || (english && titleFunctionWords.includes(word))) {
+      return;
+    }
+    const key = english ? stemWord(word) : word;
+    if (seen.has(key)) repeated.add(word);
+    seen.add(key);
+  });
+  if (repeated.size > 0) {
+    problems.push(
+      `"title" repeats ${[...repeated].map((word) => `"${word}"`).join(", ")}, use each word once`,
+    );
+  }
+
+  const forbidden = profile.forbiddenWords.filter((word) =>
+    containsForbiddenWord(title, [word]),
+  );
+  if (forbidden.length > 0) {
+    problems.push(
+      `"title" contains the forbidden ${forbidden.length === 1 ? "word" : "words"} ${forbidden.map((word) => `"${word}"`).join(", ")}`,
+    );
+  }
+
+  if (english && words.length > 1) {
+    const last = words[words.length - 1];
+    if (titleFunctionWords.includes(last)) {
+      problems.push(
+        `"title" ends with "${last}", it must end with a complete phrase`,
+      );
+    }
+    // A title without a single joining word is a keyword list, not a sentence
+    if (
+      words.length >= 6 &&
+      !words.some((word) => titleFunctionWords.includes(word))
+    ) {
+      problems.push(
+        `"title" reads like a list of keywords, write it as a fluent sentence`,
+      );
+    }
+  }
+  return problems;
+}
+
+// Brand and product names agencies reject as keywords on commercial content.
+// Names that are also common words (apple, amazon, puma) are left out.
+const trademarkTerms = [
+  "adidas",
+  "airpods",
+  "android",
+  "audi",
+  "barbie",
+  "bmw",
+  "chanel",
+  "coca-cola",
+  "disney",
+  "facebook",
+  "ferrari",
+  "frisbee",
+  "gopro",
+  "google",
+  "gucci",
+  "harley-davidson",
+  "instagram",
+  "ipad",
+  "iphone",
+  "ipod",
+  "jacuzzi",
+  "jeep",
+  "kleenex",
+  "lamborghini",
+  "lego",
+  "linkedin",
+  "louis vuitton",
+  "macbook",
+  "marvel",
+  "mcdonalds",
+  "mercedes",
+  "netflix",
+  "nike",
+  "nintendo",
+  "pepsi",
+  "playstation",
+  "porsche",
+  "post-it",
+  "prada",
+  "reebok",
+  "rolex",
+  "snapchat",
+  "starbucks",
+  "tesla",
+  "tiktok",
+  "toyota",
+  "twitter",
+  "velcro",
+  "volkswagen",
+  "whatsapp",
+  "xbox",
+  "youtube",
+];
+
+// Words the plural rules would cut to a different word ("news" is not "new"),
+// mapped to their stem
+const stemExceptions = {
+  news: "news",
+  lens: "lens",
+  lenses: "lens",
+  series: "series",
+  species: "species",
+  bus: "bus",
+  buses: "bus",
+  gas: "gas",
+  gases: "gas",
+  canvas: "canvas",
+  canvases: "canvas",
+  atlas: "atlas",
+  bias: "bias",
+  chaos: "chaos",
+  cosmos: "cosmos",
+  christmas: "christmas",
+  physics: "physics",
+  mathematics: "mathematics",
+  economics: "economics",
+  politics: "politics",
+  athletics: "athletics",
+  gymnastics: "gymnastics",
+  aerobics: "aerobics",
+  electronics: "electronics",
+  jeans: "jeans",
+  clothes: "clothes",
+  scissors: "scissors",
+};
+
+// Reduce an English word to a rough singular stem, so "dogs", "dog's" and "dog"
+// (or "puppies" and "puppy") compare equal
+function stemWord(word) {
+  if (Object.hasOwn(stemExceptions, word)) return stemExceptions[word];
+  if (word.length <= 3) return word;
+  return word
+    .replace(/'s$/, "")
+    .replace(/ies$/, "y")
+    .replace(/(ch|sh|x|z|ss)es$/, "$1")
+    .replace(/([^siu])s$/, "$1");
+}
+
+// Clean up a keyword list: apply the synonym map, drop forbidden, blacklisted and
+// trademarked terms, over-long phrases and duplicates (including plural forms in
+// English), then rank keywords that describe the title first. Returns the kept
+// keywords and the dropped ones with the reason.
+function cleanKeywords(
+  tags,
+  profile,
+  { title = "", description = "", rank = config.rankKeywords } = {},
+) {
+  const synonyms = Object.fromEntries(
+    Object.entries(config.keywordSynonyms || {}).map(([from, to]) => [
+      from.trim().toLowerCase(),
+      String(to).trim().toLowerCase(),
+    ]),
+  );
+  const trademarks = [...trademarkTerms, ...(config.trademarks || [])];
+  const maxWords = Number(config.maxKeywordWords) || 0;
+  const stems = config.dedupeKeywordStems && isEnglishProfile(profile);
+  const stemOf = (keyword) =>
+    keyword
+      .split(/\s+/)
+      .map((word) => (stems ? stemWord(word) : word))
+      .join(" ");
+
+  const keywords = [];
+  const removed = [];
+  const seen = new Set();
+  tags.forEach((tag) => {
+    if (typeof tag !== "string" || !tag.trim()) return;
+    let keyword = tag.trim().toLowerCase().replace(/\s+/g, " ");
+    keyword = synonyms[keyword] || keyword;
+
+    let reason = null;
+    if (containsForbiddenWord(keyword, profile.forbiddenWords)) {
+      reason = "forbidden";
+    } else if (containsForbiddenWord(keyword, config.keywordBlacklist || [])) {
+      reason = "blacklist";
+    } else if (containsForbiddenWord(keyword, trademarks)) {
+      reason = "trademark";
+    } else if (maxWords > 0 && keyword.split(" ").length > maxWords) {
+      reason = "too many words";
+    } else if (seen.has(stemOf(keyword))) {
+      reason = "duplicate";
+    }
+    if (reason) {
+      removed.push({ keyword, reason });
+      return;
+    }
+    seen.add(stemOf(keyword));
+    keywords.push(keyword);
+  });
+
+  if (!rank) return { keywords, removed };
+
+  // Keywords whose words all appear in the title come first, then those sharing a
+  // word with the title or description; the AI's order is kept within each group
+  const wordsOf = (text) =>
+    new Set(
+      text
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean)
+        .map((word) => (stems ? stemWord(word) : word)),
+    );
+  const titleWords = wordsOf(title);
+  const textWords = wordsOf(`${title} ${description}`);
+  const score = (keyword) => {
+    const words = [...wordsOf(keyword)];
+    if (words.every((word) => titleWords.has(word))) return 2;
+    return words.some((word) => textWords.has(word)) ? 1 : 0;
+  };
+  return {
+    keywords: keywords
+      .map((keyword, index) => ({ keyword, index, score: score(keyword) }))
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .map(({ keyword }) => keyword),
+    removed,
+  };
+}
+
+// Whether an image goes to agencies as editorial and why: a choice made in review
+// wins, then the AI's suggestion, logos, and people or property without a release
+function getLicense(metadata) {
+  const flags = metadata.flags || {};
+  const hasReleases = (metadata.releases || []).length > 0;
+  const needed = [
+    ...(flags.recognizable_faces ? ["model release"] : []),
+    ...(flags.property ? ["property release"] : []),
+  ];
+
+  if (typeof metadata.editorial === "boolean") {
+    return {
+      editorial: metadata.editorial,
+      reason: "set in review",
+      missing: metadata.editorial || hasReleases ? [] : needed,
+    };
+  }
+  if (flags.editorial_suggested) {
+    return { editorial: true, reason: "suggested by the AI", missing: [] };
+  }
+  if (flags.logos_or_brands) {
+    return { editorial: true, reason: "logos or brands", missing: [] };
+  }
+  if (needed.length > 0 && !hasReleases) {
+    return {
+      editorial: true,
+      reason: `no ${needed.join(" or ")}`,
+      missing: [],
+    };
+  }
+  return { editorial: false, reason: "", missing: [] };
+}
+
+// Describe the license of an image in one line
+function describeLicense(metadata) {
+  const license = getLicense(metadata);
+  const details = [
+    ...(license.reason ? [license.reason] : []),
+    ...(license.missing.length > 0
+      ? [`needs a ${license.missing.join(" and a ")}`]
+      : []),
+  ];
+  return `${license.editorial ? "editorial" : "commercial"}${details.length > 0 ? ` (${details.join(", ")})` : ""}`;
+}
+
+// Describe the content flags, category and releases of an image for display
+function describeClassification(metadata) {
+  const lines = [];
+  if (metadata.flags) {
+    const shown = Object.keys(contentFlags)
+      .filter((flag) => flag !== "editorial_suggested" && metadata.flags[flag])
+      .map((flag) => contentFlags[flag]);
+    lines.push(
+      `Content: ${shown.length > 0 ? shown.join(", ") : "no people, logos or property"}`,
+    );
+  }
+  if (metadata.category) lines.push(`Category: ${metadata.category}`);
+  if (metadata.categories && Object.keys(metadata.categories).length > 0) {
+    lines.push(`Agency categories: ${describeCategories(metadata.categories)}`);
+  }
+  lines.push(`License: ${describeLicense(metadata)}`);
+  if ((metadata.releases || []).length > 0) {
+    lines.push(`Releases: ${metadata.releases.join(", ")}`);
+  }
+  return lines;
+}
+
+// Validate and fix metadata to ensure it meets the profile's requirements.
+// Reviewed metadata is not re-ranked and keeps its title symbols, so keywords
+// keep the order and titles the wording chosen by hand.
+function validateAndFixMetadata(
+  metadata,
+  profile,
+  { rank = true, stripSymbols = true } = {},
+) {
+  // Make a copy to avoid modifying the original
+  const validatedMetadata = { ...metadata };
+
+  // Validate title
+  if (!validatedMetadata.title || typeof validatedMetadata.title !== "string") {
+    validatedMetadata.title = "Untitled Image";
+    console.log(chalk.red("Error: AI did not return a valid title."));
+  }
+
+  // Validate tags
+  if (!validatedMetadata.tags || !Array.isArray(validatedMetadata.tags)) {
+    validatedMetadata.tags = [];
+    console.log(chalk.red("Error: AI did not return any valid tags."));
+  }
+
+  // Clean up, deduplicate and rank the keywords
+  const { keywords, removed } = cleanKeywords(validatedMetadata.tags, profile, {
+    title: typeof metadata.title === "string" ? metadata.title : "",
+    description:
+      typeof metadata.description === "string" ? metadata.description : "",
+    rank: rank && config.rankKeywords,
+  });
+  validatedMetadata.tags = keywords;
+  if (removed.length > 0) {
+    console.log(
+      chalk.gray(
+        `Removed ${removed.length} keywords: ${removed.map(({ keyword, reason }) => `${keyword} (${reason})`).join(", ")}`,
+      ),
+    );
+  }
+
+  // Trim tags list if it exceeds max count
+  if (validatedMetadata.tags.length > profile.keywordsMax) {
+    // If we have too many tags, trim to the exact count
+    validatedMetadata.tags = validatedMetadata.tags.slice(
+      0,
+      profile.keywordsMax,
+    );
+  }
+
+  // Drop symbols the corrections left in, and cut titles over the profile maximum
+  // cleanly at a word boundary; other title problems are reported where the
+  // metadata is shown
+  validatedMetadata.title = trimTitle(
+    stripSymbols
+      ? stripTitleSymbols(validatedMetadata.title)
+      : validatedMetadata.title,
+    profile,
+  );
+
+  // Keep the description only when the profile asks for one
+  if (profile.description) {
+    if (
+      !validatedMetadata.description ||
+      typeof validatedMetadata.description !== "string"
+    ) {
+      validatedMetadata.description = validatedMetadata.title;
+    }
+    validatedMetadata.description = truncateAtWord(
+      validatedMetadata.description.trim(),
+      profile.descriptionMaxChars,
+    );
+  } else {
+    delete validatedMetadata.description;
+  }
+
+  // Content flags are kept as booleans, and only when the AI returned them
+  if (metadata.flags && typeof metadata.flags === "object") {
+    validatedMetadata.flags = Object.fromEntries(
+      Object.keys(contentFlags).map((flag) => [
+        flag,
+        [true, "true", "yes"].includes(metadata.flags[flag]),
+      ]),
+    );
+  } else {
+    delete validatedMetadata.flags;
+  }
+  if (typeof metadata.category === "string" && metadata.category.trim()) {
+    validatedMetadata.category = metadata.category.trim();
+  } else {
+    delete validatedMetadata.category;
+  }
+
+  // Keep only categories from the bundled agency lists
+  const categories = validateCategories(metadata.categories);
+  if (Object.keys(categories).length > 0) {
+    validatedMetadata.categories = categories;
+  } else {
+    delete validatedMetadata.categories;
+  }
+
+  return validatedMetadata;
+}
+
+// Select specific model based on AI provider
+async function selectSpecificModel() {
+  const provider = getProvider(config.aiModel);
+  const answers = await inquirer.prompt([
+    {
+      type: "list",
+      name: "model",
+      message: `Select the ${provider.shortName} model to use:`,
+      choices: provider.models,
+      default: getProviderModel(provider),
+    },
+  ]);
+
+  config[provider.modelField] = answers.model;
+  saveConfig();
+  console.log(
+    chalk.cyan.bold(`\n─────────────── MODEL UPDATED ────────────────`),
+  );
+  console.log(
+    chalk.cyan(
+      `${provider.shortName} model set to: ${chalk.magenta(answers.model)}`,
+    ),
+  );
+  console.log(
+    chalk.cyan.bold(`───────────────────────────────────────────────\n`),
+  );
+}
+
+// Set the budget cap and the price of the selected model
+async function setBudget() {
+  const provider = getProvider(config.aiModel);
+  const model = getProviderModel(provider);
+  const price = getModelPrice(provider, model) || { input: 0, output: 0 };
+  const validateNonNegative = (value) => {
+    const number = Number(value);
+    return value !== "" && Number.isFinite(number) && number >= 0
+      ? true
+      : "Please enter a number of 0 or more";
+  };
+
+  const answers = await inquirer.prompt([
+    {
+      type: "input",
+      name: "budgetLimit",
+      message: "Maximum spend per run in USD (0 for no cap):",
+      default: String(config.budgetLimit),
+      validate: validateNonNegative,
+    },
+    {
+      type: "input",
+      name: "input",
+      message: `${model} price per million input tokens (USD):`,
+      default: String(price.input),
+      validate: validateNonNegative,
+    },
+    {
+      type: "input",
+      name: "output",
+      message: `${model} price per million output tokens (USD):`,
+      default: String(price.output),
+      validate: validateNonNegative,
+    },
+  ]);
+
+  config.budgetLimit = Number(answers.budgetLimit);
+  if (
+    Number(answers.input) !== price.input ||
+    Number(answers.output) !== price.output
+  ) {
+    config.modelPrices = {
+      ...config.modelPrices,
+      [model]: { input: Number(answers.input), output: Number(answers.output) },
+    };
+  }
+  saveConfig();
+  console.log(
+    chalk.cyan.bold(`\n─────────────── BUDGET UPDATED ────────────────`),
+  );
+  console.log(
+    chalk.cyan(
+      `Budget cap: ${config.budgetLimit > 0 ? chalk.green(`${formatCost(config.budgetLimit)} per run`) : chalk.yellow("None")}`,
+    ),
+  );
+  const updated = getModelPrice(provider, model);
+  console.log(
+    chalk.cyan(
+      `${model}: ${chalk.green(`$${updated.input} input / $${updated.output} output per million tokens`)}`,
+    ),
+  );
+  console.log(
+    chalk.cyan.bold(`───────────────────────────────────────────────\n`),
+  );
+}
+
+// Set throttling: parallel workers, request delay, rate limit and retries
+async function setThrottling() {
+  const provider = getProvider(config.aiModel);
+  const validateNonNegative = (value) => {
+    if (isNaN(value) || value < 0) {
+      return "Please enter a non-negative number";
+    }
+    return true;
+  };
+
+  const answers = await inquirer.prompt([
+    {
+      type: "number",
+      name: "concurrency",
+      message: "Enter the number of images to process in parallel:",
+      default: config.concurrency,
+      validate: (value) => {
+        if (!Number.isInteger(value) || value <= 0) {
+          return "Please enter a positive whole number";
+        }
+        return true;
+      },
+    },
+    {
+      type: "number",
+      name: "delay",
+      message: "Enter the delay in seconds between requests (0 to disable):",
+      default: config.delay,
+      validate: validateNonNegative,
+    },
+    {
+      type: "number",
+      name: "requestsPerMinute",
+      message: `Enter the ${provider.shortName} requests per minute limit (0 for no limit):`,
+      default: getProviderRequestsPerMinute(provider),
+      validate: validateNonNegative,
+    },
+    {
+      type: "number",
+      name: "maxRetries",
+      message:
+        "Enter the number of retries for rate-limited or failed requests:",
+      default: config.maxRetries,
+      validate: (value) => {
+        if (!Number.isInteger(value) || value < 0) {
+          return "Please enter a non-negative whole number";
+        }
+        return true;
+      },
+    },
+    {
+      type: "number",
+      name: "retryBaseDelay",
+      message:
+        "Enter the seconds to wait before the first retry (doubled on each attempt):",
+      default: config.retryBaseDelay,
+      validate: validateNonNegative,
+    },
+    {
+      type: "number",
+      name: "correctionRetries",
+      message:
+        "Enter the number of corrective requests when a reply breaks the profile rules:",
+      default: config.correctionRetries,
+      validate: (value) => {
+        if (!Number.isInteger(value) || value < 0) {
+          return "Please enter a non-negative whole number";
+        }
+        return true;
+      },
+    },
+  ]);
+
+  config.concurrency = answers.concurrency;
+  config.delay = answers.delay;
+  config[provider.requestsPerMinuteField] = answers.requestsPerMinute;
+  config.maxRetries = answers.maxRetries;
+  config.retryBaseDelay = answers.retryBaseDelay;
+  config.correctionRetries = answers.correctionRetries;
+  saveConfig();
+  console.log(
+    chalk.cyan.bold(`\n─────────────── THROTTLING UPDATED ────────────────`),
+  );
+  console.log(
+    chalk.cyan(`Parallel images: ${chalk.green(answers.concurrency)}`),
+  );
+  console.log(
+    chalk.cyan(
+      `Delay between requests set to: ${chalk.green(answers.delay)} seconds`,
+    ),
+  );
+  console.log(
+    chalk.cyan(
+      `${provider.shortName} requests per minute: ${chalk.green(answers.requestsPerMinute || "No limit")}`,
+    ),
+  );
+  console.log(
+    chalk.cyan(
+      `Retries: ${chalk.green(answers.maxRetries)} (starting at ${answers.retryBaseDelay} seconds)`,
+    ),
+  );
+  console.log(
+    chalk.cyan(
+      `Corrective requests: ${chalk.green(answers.correctionRetries)}`,
+    ),
+  );
+  console.log(
+    chalk.cyan.bold(`───────────────────────────────────────────────────\n`),
+  );
+}
+
+// Set agencies whose CSVs are exported after each run
+async function setExportAgencies() {
+  const answers = await inquirer.prompt([
+    {
+      type: "checkbox",
+      name: "exportAgencies",
+      message: "Select the agency CSVs to export after each run:",
+      choices: Object.entries(agencies).map(([id, agency]) => ({
+        name: agency.name,
+        value: id,
+        checked: config.exportAgencies.includes(id),
+      })),
+    },
+  ]);
+
+  config.exportAgencies = answers.exportAgencies;
+  saveConfig();
+  console.log(
+    chalk.cyan.bold(`\n─────────────── CSV EXPORT UPDATED ────────────────`),
+  );
+  console.log(
+    chalk.cyan(
+      `Agency CSVs after each run: ${answers.exportAgencies.length > 0 ? chalk.green(answers.exportAgencies.map((id) => agencies[id].name).join(", ")) : chalk.yellow("None")}`,
+    ),
+  );
+  console.log(
+    chalk.cyan.bold(`───────────────────────────────────────────────────\n`),
+  );
+}
+
+// Set the rights metadata written to every file
+async function setRightsMetadata() {
+  const answers = await inquirer.prompt([
+    {
+      type: "input",
+      name: "creator",
+      message: "Creator (photographer or artist):",
+      default: config.creator,
+    },
+    {
+      type: "input",
+      name: "copyright",
+      message: "Copyright notice:",
+      default: config.copyright,
+    },
+    {
+      type: "input",
+      name: "creditLine",
+      message: "Credit line:",
+      default: config.creditLine,
+    },
+    {
+      type: "input",
+      name: "contactEmail",
+      message: "Contact email:",
+      default: config.contactEmail,
+    },
+    {
+      type: "input",
+      name: "contactUrl",
+      message: "Contact URL:",
+      default: config.contactUrl,
+    },
+  ]);
+
+  Object.entries(answers).forEach(([key, value]) => {
+    config[key] = value.trim();
+  });
+  saveConfig();
+  console.log(
+    chalk.cyan.bold(
+      `\n─────────────── RIGHTS METADATA UPDATED ────────────────`,
+    ),
+  );
+  [
+    ["Creator", config.creator],
+    ["Copyright", config.copyright],
+    ["Credit Line", config.creditLine],
+    ["Contact Email", config.contactEmail],
+    ["Contact URL", config.contactUrl],
+  ].forEach(([label, value]) => {
+    console.log(
+      chalk.cyan(
+        `${label}: ${value ? chalk.green(value) : chalk.yellow("Not set")}`,
+      ),
+    );
+  });
+  console.log(
+    chalk.cyan.bold(
+      `────────────────────────────────────────────────────────\n`,
+    ),
+  );
+}
+
+// Edit which EXIF/IPTC/XMP tags each metadata field is written to
+async function editFieldMapping() {
+  const mapping = getFieldMapping();
+  const { field } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "field",
+      message: "Select a metadata field to map:",
+      choices: [
+        ...Object.entries(mapping).map(([name, tagNames]) => ({
+          name: `${name} → ${tagNames.join(", ") || "(not written)"}`,
+          value: name,
+        })),
+        { name: "↩️ Reset all fields to defaults", value: "reset" },
+      ],
+    },
+  ]);
+
+  if (field === "reset") {
+    config.fieldMapping = {};
+  } else {
+    const { tags } = await inquirer.prompt([
+      {
+        type: "input",
+        name: "tags",
+        message: `Tags for ${field} (comma-separated, empty to skip the field):`,
+        default: mapping[field].join(", "),
+        validate: (value) =>
+          value
+            .split(",")
+            .map((tag) => tag.trim())
+            .filter(Boolean)
+            .every((tag) => /^[\w-]+:[\w-]+$/.test(tag)) ||
+          "Use group-qualified tag names such as XMP-dc:Title or IPTC:Keywords",
+      },
+    ]);
+    config.fieldMapping = {
+      ...config.fieldMapping,
+      [field]: tags
+        .split(",")
+        .map((tag) => tag.trim())
+        .filter(Boolean),
+    };
+  }
+
+  saveConfig();
+  console.log(
+    chalk.cyan.bold(`\n─────────────── FIELD MAPPING UPDATED ────────────────`),
+  );
+  Object.entries(getFieldMapping()).forEach(([name, tagNames]) => {
+    console.log(
+      chalk.cyan(
+        `${name}: ${tagNames.length > 0 ? chalk.green(tagNames.join(", ")) : chalk.yellow("Not written")}`,
+      ),
+    );
+  });
+  console.log(
+    chalk.cyan.bold(`──────────────────────────────────────────────────────\n`),
+  );
+}
+
+// Set how existing metadata in a file is handled
+async function setMergeStrategy() {
+  const answers = await inquirer.prompt([
+    {
+      type: "list",
+      name: "mergeStrategy",
+      message:
+        "How should generated metadata be combined with existing metadata?",
+      choices: mergeStrategies,
+      default: config.mergeStrategy,
+    },
+    {
+      type: "confirm",
+      name: "skipTagged",
+      message:
+        "Skip files that already have a title and enough keywords for the profile?",
+      default: config.skipTagged,
+    },
+  ]);
+
+  config.mergeStrategy = answers.mergeStrategy;
+  config.skipTagged = answers.skipTagged;
+  saveConfig();
+  console.log(
+    chalk.cyan.bold(
+      `\n─────────────── EXISTING METADATA UPDATED ────────────────`,
+    ),
+  );
+  console.log(
+    chalk.cyan(`Existing metadata: ${chalk.green(describeMergeStrategy())}`),
+  );
+  console.log(
+    chalk.cyan.bold(
+      `──────────────────────────────────────────────────────────\n`,
+    ),
+  );
+}
+
+// Set the keyword blacklist, trademarks, synonyms, dedupe and ranking
+async function setKeywordCleanup() {
+  const answers = await inquirer.prompt([
+    {
+      type: "input",
+      name: "keywordBlacklist",
+      message: "Blacklisted words and phrases (comma-separated):",
+      default: config.keywordBlacklist.join(", "),
+    },
+    {
+      type: "input",
+      name: "trademarks",
+      message: `Trademarks to add to the ${trademarkTerms.length} built-in ones (comma-separated):`,
+      default: config.trademarks.join(", "),
+    },
+    {
+      type: "input",
+      name: "keywordSynonyms",
+      message:
+        "Synonyms as variant=preferred (comma-separated, e.g. automobile=car):",
+      default: Object.entries(config.keywordSynonyms)
+        .map(([from, to]) => `${from}=${to}`)
+        .join(", "),
+      validate: (value) => {
+        try {
+          parseSynonymMap(value);
+          return true;
+        } catch (error) {
+          return error.message;
+        }
+      },
+    },
+    {
+      type: "number",
+      name: "maxKeywordWords",
+      message: "Maximum words per keyword (0 for no limit):",
+      default: config.maxKeywordWords,
+      validate: (value) =>
+        Number.isInteger(value) && value >= 0
+          ? true
+          : "Please enter a non-negative whole number",
+    },
+    {
+      type: "confirm",
+      name: "dedupeKeywordStems",
+      message: "Drop plural and possessive forms of keywords already listed?",
+      default: config.dedupeKeywordStems,
+    },
+    {
+      type: "confirm",
+      name: "rankKeywords",
+      message: "Move keywords that describe the title's subject to the front?",
+      default: config.rankKeywords,
+    },
+  ]);
+
+  config.keywordBlacklist = parsePatternList(
+    answers.keywordBlacklist.toLowerCase(),
+  );
+  config.trademarks = parsePatternList(answers.trademarks.toLowerCase());
+  config.keywordSynonyms = parseSynonymMap(answers.keywordSynonyms);
+  config.maxKeywordWords = answers.maxKeywordWords;
+  config.dedupeKeywordStems = answers.dedupeKeywordStems;
+  config.rankKeywords = answers.rankKeywords;
+  saveConfig();
+  console.log(
+    chalk.cyan.bold(
+      `\n─────────────── KEYWORD CLEANUP UPDATED ────────────────`,
+    ),
+  );
+  console.log(
+    chalk.cyan(`Keyword cleanup: ${chalk.green(describeKeywordCleanup())}`),
+  );
+  console.log(
+    chalk.cyan.bold(
+      `────────────────────────────────────────────────────────\n`,
+    ),
+  );
+}
+
+// Toggle queueing generated metadata for review before it is written
+async function toggleReview() {
+  config.reviewBeforeWriting = !config.reviewBeforeWriting;
+  saveConfig();
+  console.log(
+    chalk.cyan.bold(`\n─────────────── REVIEW MODE ────────────────`),
+  );
+  console.log(
+    chalk.cyan(
+      `Review before writing: ${config.reviewBeforeWriting ? chalk.green("Enabled") : chalk.yellow("Disabled")}`,
+    ),
+  );
+  console.log(
+    chalk.cyan.bold(`────────────────────────────────────────────\n`),
+  );
+}
+
+// Toggle token display
+async function toggleTokenDisplay() {
+  config.showTokens = !config.showTokens;
+  saveConfig();
+  console.log(
+    chalk.cyan.bold(`\n─────────────── TOKEN DISPLAY ────────────────`),
+  );
+  console.log(
+    chalk.cyan(
+      `Token usage display: ${config.showTokens ? chalk.green("Enabled") : chalk.yellow("Disabled")}`,
+    ),
+  );
+  console.log(
+    chalk.cyan.bold(`──────────────────────────────────────────────\n`),
+  );
+}
+
+// Format a duration in seconds for display
+function formatTime(seconds) {
+  const hrs = String(Math.floor(seconds / 3600)).padStart(2, "0");
+  const mins = String(Math.floor((seconds % 3600) / 60)).padStart(2, "0");
+  const secs = String(Math.floor(seconds % 60)).padStart(2, "0");
+  return `${hrs} hours, ${mins} mins, ${secs} secs`;
+}
+
+// Display the summary of a processing run
+function displayProcessingSummary(stats, processingTime, modelName) {
+  console.log(
+    chalk.cyan.bold(`\n─────────────── PROCESSING SUMMARY ────────────────`),
+  );
+  console.log(
+    chalk.cyan(
+      `Total processing time: ${chalk.yellow(formatTime(processingTime))}`,
+    ),
+  );
+  console.log(chalk.cyan(`AI Model used: ${chalk.magenta(modelName)}`));
+  if (stats.jobId) {
+    console.log(chalk.cyan(`Job journal: ${chalk.white(stats.jobId)}`));
+  }
+  (stats.exports || []).forEach((csvPath) => {
+    console.log(chalk.cyan(`Agency CSV: ${chalk.white(csvPath)}`));
+  });
+  console.log(chalk.cyan(`Total images: ${chalk.white(stats.total)}`));
+  console.log(
+    chalk.cyan(`Successfully processed: ${chalk.green(stats.success)} images`),
+  );
+  if (stats.queued > 0) {
+    console.log(
+      chalk.cyan(`Queued for review: ${chalk.yellow(stats.queued)} images`),
+    );
+  }
+  if (stats.skipped > 0) {
+    console.log(
+      chalk.cyan(
+        `Skipped as already tagged: ${chalk.gray(stats.skipped)} images`,
+      ),
+    );
+  }
+  if (stats.failed > 0) {
+    console.log(
+      chalk.cyan(`Failed to process: ${chalk.red(stats.failed)} images`),
+    );
+  }
+  if (stats.stopped > 0) {
+    console.log(
+      chalk.cyan(
+        `Not started (budget cap reached): ${chalk.yellow(stats.stopped)} images`,
+      ),
+    );
+  }
+  if (stats.tokens > 0) {
+    console.log(chalk.cyan(`Tokens used: ${chalk.yellow(stats.tokens)}`));
+    console.log(
+      chalk.cyan(
+        `Estimated cost: ${stats.cost > 0 ? chalk.yellow(formatCost(stats.cost)) : chalk.gray("unknown or free")}`,
+      ),
+    );
+  }
+
+  console.log(
+    chalk.cyan.bold(`───────────────────────────────────────────────────\n`),
+  );
+}
+
+// Display the estimated cost of processing a number of images
+function displayCostEstimate(provider, fileCount) {
+  const model = getProviderModel(provider);
+  const estimate = estimateRunCost(provider, model, fileCount);
+
+  console.log(
+    chalk.cyan.bold(`\n─────────────── COST ESTIMATE ────────────────`),
+  );
+  if (!estimate) {
+    console.log(
+      chalk.yellow(
+        `No earlier ${provider.shortName} runs to estimate token usage from.`,
+      ),
+    );
+  } else {
+    console.log(
+      chalk.cyan(
+        `~${chalk.yellow(estimate.tokensPerImage)} tokens per image (average of ${estimate.samples} images${estimate.sameModel ? "" : ` from other ${provider.shortName} models`})`,
+      ),
+    );
+    console.log(
+      chalk.cyan(
+        `${fileCount} images with ${chalk.magenta(model)}: ${estimate.cost === null ? chalk.yellow("no price known for this model") : chalk.green(`≈ ${formatCost(estimate.cost)}`)}`,
+      ),
+    );
+  }
+  const budgetLimit = Number(config.budgetLimit) || 0;
+  if (budgetLimit > 0) {
+    const covered =
+      estimate && estimate.costPerImage
+        ? ` (about ${Math.floor(budgetLimit / estimate.costPerImage)} images)`
+        : "";
+    console.log(
+      chalk.cyan(
+        `Budget cap: ${chalk.green(formatCost(budgetLimit))}${covered}`,
+      ),
+    );
+  }
+  console.log(
+    chalk.cyan.bold(`──────────────────────────────────────────────\n`),
+  );
+}
+
+// Process images
+async function processImages() {
+  console.clear();
+  const inputDir = config.inputDir;
+  const outputDir = config.outputDir;
+  const aiModel = config.aiModel;
+  const profile = getActiveProfile();
+
+  // Validate configuration
+  if (!inputDir || !outputDir) {
+    console.log(chalk.red.bold(`\n─────────────── ERROR ────────────────`));
+    console.log(
+      chalk.red(
+        `Please set both input and output directories before processing.`,
+      ),
+    );
+    console.log(chalk.red.bold(`───────────────────────────────────────\n`));
+    return;
+  }
+
+  const provider = getProvider(aiModel);
+  const apiKey = getProviderApiKey(provider);
+  if (provider.apiKeyField && !apiKey) {
+    console.log(chalk.red.bold(`\n─────────────── ERROR ────────────────`));
+    console.log(
+      chalk.red(
+        `Please set the ${provider.shortName} API key before processing.`,
+      ),
+    );
+    console.log(chalk.red.bold(`───────────────────────────────────────\n`));
+    return;
+  }
+
+  if (!fs.existsSync(inputDir)) {
+    console.log(chalk.red.bold(`\n─────────────── ERROR ────────────────`));
+    console.log(
+      chalk.red(`Input directory does not exist: ${chalk.yellow(inputDir)}`),
+    );
+    console.log(chalk.red.bold(`───────────────────────────────────────\n`));
+
+    const { tryAgain } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "tryAgain",
+        message: "Input directory does not exist. What would you like to do?",
+        choices: [
+          { name: "📂 Set a new input directory", value: "change" },
+          { name: "⬅️ Back to main menu", value: "back" },
+          { name: "❌ Exit", value: "exit" },
+        ],
+      },
+    ]);
+
+    if (tryAgain === "change") {
+      await setInputDirectory();
+      await processImages(); // Retry after setting new folder
+      return;
+    } else if (tryAgain === "exit") {
+      await exiftool.end();
+      process.exit(0);
+    } else {
+      return; // back to main menu
+    }
+  }
+
+  const imageFiles = await listInputImages(inputDir);
+
+  if (imageFiles.length === 0) {
+    console.log(chalk.red.bold(`\n─────────────── ERROR ────────────────`));
+    console.log(
+      chalk.red(`No image files found in: ${chalk.yellow(inputDir)}`),
+    );
+    console.log(chalk.red.bold(`───────────────────────────────────────\n`));
+
+    const { tryAgain } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "tryAgain",
+        message: "No images found. What would you like to do?",
+        choices: [
+          { name: "🔁 Choose a different input folder", value: "change" },
+          { name: "⬅️ Back to main menu", value: "back" },
+          { name: "❌ Exit", value: "exit" },
+        ],
+      },
+    ]);
+
+    if (tryAgain === "change") {
+      await setInputDirectory();
+      await processImages(); // Retry with new folder
+      return;
+    } else if (tryAgain === "exit") {
+      await exiftool.end();
+      process.exit(0);
+    } else {
+      return; // back to main menu
+    }
+  }
+
+  displayCostEstimate(provider, imageFiles.length);
+
+  // Confirm processing
+  const confirmAnswers = await inquirer.prompt([
+    {
+      type: "list",
+      name: "mode",
+      message: `Ready to process all images from ${chalk.yellow(inputDir)} to ${chalk.green(outputDir)}?`,
+      choices: [
+        { name: "✅ Yes, process images", value: "process" },
+        {
+          name: "📝 Generate now, review and write after approval",
+          value: "review",
+        },
+        {
+          name: `🗂️ Generate ${config.sidecarFormat.toUpperCase()} sidecars only (images are not touched)`,
+          value: "sidecars",
+        },
+        {
+          name: "🧪 Dry run (generate only, nothing is written or deleted)",
+          value: "dryRun",
+        },
+        { name: "⬅️ Back to main menu", value: "back" },
+      ],
+      default: config.reviewBeforeWriting ? "review" : "process",
+    },
+  ]);
+
+  if (confirmAnswers.mode !== "back") {
+    const dryRun = confirmAnswers.mode === "dryRun";
+    const review = confirmAnswers.mode === "review";
+    const sidecars = confirmAnswers.mode === "sidecars";
+    console.clear();
+    console.log(
+      chalk.blue.bold(`\n─────────────── PROCESSING STARTED ────────────────`),
+    );
+    console.log(chalk.blue(`Processing images from: ${chalk.green(inputDir)}`));
+    console.log(chalk.blue(`Output directory: ${chalk.green(outputDir)}`));
+    console.log(
+      chalk.blue(
+        `Originals: ${chalk.green(dryRun || sidecars ? "untouched" : describeOriginalsPolicy())}`,
+      ),
+    );
+    if (review) {
+      console.log(chalk.blue(`Review: ${chalk.green("before writing")}`));
+    }
+    console.log(
+      chalk.blue(`Using AI: ${chalk.magenta(getProviderModel(provider))}`),
+    );
+    console.log(
+      chalk.blue(`Metadata profile: ${chalk.green(describeProfile(profile))}`),
+    );
+    console.log(
+      chalk.blue.bold(`───────────────────────────────────────────────────\n`),
+    );
+
+    const startTime = new Date();
+
+    const stats = await processAllImages(
+      inputDir,
+      outputDir,
+      aiModel,
+      apiKey,
+      profile,
+      { dryRun, review, sidecars },
+    );
+
+    const endTime = new Date();
+    const processingTime = (endTime - startTime) / 1000; // Convert to seconds
+
+    // Clear screen for summary
+    console.clear();
+    displayProcessingSummary(stats, processingTime, getProviderModel(provider));
+
+    if (stats.queued > 0) {
+      const { reviewNow } = await inquirer.prompt([
+        {
+          type: "confirm",
+          name: "reviewNow",
+          message: "Review the queued metadata now?",
+          default: true,
+        },
+      ]);
+      if (reviewNow) {
+        await reviewJob(loadJobJournal(stats.jobId));
+      }
+    }
+
+    // Pause before returning to main menu
+    await inquirer.prompt([
+      {
+        type: "input",
+        name: "continue",
+        message: chalk.yellow("Press Enter to return to the main menu..."),
+      },
+    ]);
+  }
+}
+
+// Run the unfinished files of a job with the settings it was started with
+async function runJobJournal(journal, { dryRun = false } = {}) {
+  const { inputDir, outputDir, aiModel, model, profile } = journal.settings;
+  const provider = getProvider(aiModel);
+  const apiKey = getProviderApiKey(provider);
+  if (provider.apiKeyField && !apiKey) {
+    throw new Error(
+      `Please set the ${provider.shortName} API key before resuming.`,
+    );
+  }
+
+  console.log(
+    chalk.blue.bold(`\n─────────────── RESUMING JOB ────────────────`),
+  );
+  console.log(chalk.blue(`Job: ${chalk.green(journal.id)}`));
+  console.log(chalk.blue(`Processing images from: ${chalk.green(inputDir)}`));
+  console.log(chalk.blue(`Output directory: ${chalk.green(outputDir)}`));
+  console.log(chalk.blue(`Using AI: ${chalk.magenta(model)}`));
+  console.log(
+    chalk.blue(`Metadata profile: ${chalk.green(describeProfile(profile))}`),
+  );
+  console.log(
+    chalk.blue.bold(`─────────────────────────────────────────────\n`),
+  );
+
+  const startTime = new Date();
+  const stats = await processAllImages(
+    inputDir,
+    outputDir,
+    aiModel,
+    apiKey,
+    profile,
+    { journal, dryRun },
+  );
+  const processingTime = (new Date() - startTime) / 1000;
+
+  return { stats, processingTime, model };
+}
+
+// Move a file that failed in watch mode out of the queue, with an error report next to it
+async function moveFailedImage(inputDir, file, error, settings) {
+  const failedDir = path.join(getFailedDir(inputDir), path.dirname(file));
+  await fsExtra.ensureDir(failedDir);
+  const failedPath = getAvailablePath(failedDir, path.basename(file));
+  await fsExtra.move(path.join(inputDir, file), failedPath);
+  await fs.promises.writeFile(
+    `${failedPath}.error.txt`,
+    [
+      `File: ${file}`,
+      `Failed at: ${new Date().toISOString()}`,
+      `Provider: ${settings.aiModel} (${settings.model})`,
+      `Job: ${settings.jobId}`,
+      `Error: ${error}`,
+    ].join("\n") + "\n",
+  );
+  return failedPath;
+}
+
+// Watch the input directory and run every new file through the pipeline once it has finished writing
+async function watchInputFolder(inputDir, outputDir, aiModel, apiKey, profile) {
+  const provider = getProvider(aiModel);
+  const intervalMs = Math.max(1, Number(config.watchInterval) || 5) * 1000;
+  const settleMs = Math.max(0, Number(config.watchSettleTime) || 0) * 1000;
+  const journal = createJobJournal(
+    {
+      inputDir,
+      outputDir,
+      aiModel,
+      model: getProviderModel(provider),
+      profile,
+      review: config.reviewBeforeWriting,
+      mergeStrategy: config.mergeStrategy,
+      watch: true,
+    },
+    [],
+  );
+  const totals = {
+    total: 0,
+    success: 0,
+    failed: 0,
+    queued: 0,
+    skipped: 0,
+    stopped: 0,
+    generated: 0,
+    tokens: 0,
+    cost: 0,
+    titleChars: 0,
+    keywords: 0,
+  };
+  const startedAt = new Date();
+  const settling = new Map(); // file -> { signature, since }
+  const handled = new Map(); // file -> signature it was processed with
+  let lastFile = "";
+  let stopping = false;
+
+  // Live status line in a terminal, a log line whenever it changes otherwise
+  const status = ora();
+  let lastStatus = "";
+  const showStatus = () => {
+    const text = `Watching ${inputDir} — ${totals.success} done, ${totals.failed} failed, ${totals.skipped} skipped, ${settling.size} settling${lastFile ? `, last: ${lastFile}` : ""} (Ctrl+C to stop)`;
+    if (process.stdout.isTTY) {
+      status.text = text;
+      if (!status.isSpinning) status.start();
+    } else if (text !== lastStatus) {
+      console.log(chalk.gray(text));
+    }
+    lastStatus = text;
+  };
+  const stop = () => {
+    stopping = true;
+    status.text = "Stopping after the current batch...";
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+
+  console.log(chalk.blue.bold(`\n─────────────── WATCHING ────────────────`));
+  console.log(chalk.blue(`Input directory: ${chalk.green(inputDir)}`));
+  console.log(chalk.blue(`Output directory: ${chalk.green(outputDir)}`));
+  console.log(
+    chalk.blue(`Failed files: ${chalk.green(getFailedDir(inputDir))}`),
+  );
+  console.log(
+    chalk.blue(`Using AI: ${chalk.magenta(getProviderModel(provider))}`),
+  );
+  console.log(chalk.blue(`Job journal: ${chalk.green(journal.id)}`));
+  console.log(chalk.blue.bold(`─────────────────────────────────────────\n`));
+
+  while (!stopping) {
+    showStatus();
+    const ready = [];
+    const present = new Set();
+
+    try {
+      for (const file of await listInputImages(inputDir)) {
+        present.add(file);
+        const imagePath = path.join(inputDir, file);
+        const stat = await fs.promises.stat(imagePath);
+        const signature = `${stat.size}:${stat.mtimeMs}`;
+        if (handled.get(file) === signature) continue;
+
+        // Files whose output is already newer were handled by an earlier session
+        if (!handled.has(file) && !settling.has(file)) {
+          const outputPath = path.join(outputDir, file);
+          if (
+            fs.existsSync(outputPath) &&
+            fs.statSync(outputPath).mtimeMs >= stat.mtimeMs
+          ) {
+            handled.set(file, signature);
+            continue;
+          }
+        }
+
+        // A file is ready once its size and modification time stop changing
+        const seen = settling.get(file);
+        if (!seen || seen.signature !== signature) {
+          settling.set(file, { signature, since: Date.now() });
+        } else if (stat.size > 0 && Date.now() - seen.since >= settleMs) {
+          settling.delete(file);
+          handled.set(file, signature);
+          ready.push(file);
+        }
+      }
+    } catch (error) {
+      status.stop();
+      console.error(
+        chalk.red(`✗ Could not scan ${inputDir}: ${error.message}`),
+      );
+    }
+
+    // Forget files that left the input directory so a new file with the same name is picked up
+    [settling, handled].forEach((files) => {
+      Array.from(files.keys())
+        .filter((file) => !present.has(file))
+        .forEach((file) => files.delete(file));
+    });
+
+    if (ready.length > 0) {
+      status.stop();
+      ready.forEach((file) =>
+        updateJobFile(journal, file, {
+          state: "pending",
+          metadata: null,
+          error: null,
+        }),
+      );
+
+      const stats = await processAllImages(
+        inputDir,
+        outputDir,
+        aiModel,
+        apiKey,
+        profile,
+        { journal, files: ready, recordHistory: false },
+      );
+      Object.keys(totals).forEach((key) => {
+        totals[key] += stats[key] || 0;
+      });
+      lastFile = ready[ready.length - 1];
+
+      // Failed files go to the failed folder so they do not block the queue
+      for (const file of ready) {
+        const entry = journal.files[file];
+        if (entry.state !== "failed") continue;
+        try {
+          const failedPath = await moveFailedImage(
+            inputDir,
+            file,
+            entry.error,
+            {
+              ...journal.settings,
+              jobId: journal.id,
+            },
+          );
+          console.log(chalk.red(`✗ Moved ${file} to ${failedPath}`));
+        } catch (error) {
+          console.error(
+            chalk.red(`✗ Could not move failed file ${file}: ${error.message}`),
+          );
+        }
+      }
+      continue; // scan again right away, more files may have arrived
+    }
+
+    await sleep(intervalMs);
+  }
+
+  status.stop();
+  process.off("SIGINT", stop);
+  process.off("SIGTERM", stop);
+  journal.status = "completed";
+  saveJobJournal(journal);
+  totals.jobId = journal.id;
+  if (totals.total > 0) {
+    recordRun(
+      buildRunRecord(totals, { ...journal.settings, mode: "watch" }, startedAt),
+    );
+  }
+  return { stats: totals, processingTime: (new Date() - startedAt) / 1000 };
+}
+
+// Show one queued file's metadata for review
+function displayReviewItem(file, metadata, position, total, profile) {
+  console.log(
+    chalk.cyan.bold(
+      `\n─────────────── REVIEW ${position}/${total}: ${file} ────────────────`,
+    ),
+  );
+  const titleProblems = findTitleProblems(metadata.title, profile);
+  const titleColor = titleProblems.length > 0 ? chalk.yellow : chalk.green;
+  console.log(
+    chalk.cyan(
+      `Title: ${titleColor(metadata.title)} (${metadata.title.length} chars)`,
+    ),
+  );
+  titleProblems.forEach((problem) => {
+    console.log(chalk.yellow(`  ⚠️ ${problem.replace(/^"title"/, "Title")}`));
+  });
+  if (metadata.description) {
+    console.log(
+      chalk.cyan(`Description: ${chalk.green(metadata.description)}`),
+    );
+  }
+  console.log(
+    chalk.cyan(
+      `Keywords (${metadata.tags.length}/${profile.keywordsMax}): ${chalk.green(
+        metadata.tags.map((tag, i) => `${i + 1}. ${tag}`).join("  "),
+      )}`,
+    ),
+  );
+  if (metadata.translations) {
+    Object.entries(metadata.translations).forEach(([language, translation]) => {
+      console.log(
+        chalk.cyan(
+          `${getLanguageName(language)}: ${chalk.green(translation.title)}\n  ${chalk.green(translation.tags.join(", "))}`,
+        ),
+      );
+    });
+  } else if ((profile.translations || []).length > 0) {
+    console.log(
+      chalk.gray(
+        `Translations (${profile.translations.join(", ")}) are made when you accept.`,
+      ),
+    );
+  }
+  describeClassification(metadata).forEach((line) => {
+    console.log(chalk.cyan(line));
+  });
+  console.log(
+    chalk.cyan.bold(`───────────────────────────────────────────────────\n`),
+  );
+}
+
+// Prompt for a line of text, pre-filled with the current value so it can be edited in place
+async function editText(message, value) {
+  const prompt = inquirer.prompt([
+    {
+      type: "input",
+      name: "text",
+      message,
+      validate: (input) => (input.trim() ? true : "Please enter some text"),
+    },
+  ]);
+  prompt.ui.rl.write(value);
+  const { text } = await prompt;
+  return text.trim();
+}
+
+// Add, remove and reorder the keywords of one file
+async function editKeywords(tags) {
+  let keywords = [...tags];
+
+  while (true) {
+    console.log(
+      chalk.cyan(
+        `Keywords: ${chalk.green(keywords.map((tag, i) => `${i + 1}. ${tag}`).join("  "))}`,
+      ),
+    );
+    const { action } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "action",
+        message: "Edit keywords:",
+        choices: [
+          { name: "➕ Add keywords", value: "add" },
+          { name: "➖ Remove keywords", value: "remove" },
+          { name: "↕️ Move a keyword", value: "move" },
+          { name: "✅ Done", value: "done" },
+        ],
+      },
+    ]);
+
+    if (action === "done") return keywords;
+
+    if (action === "add") {
+      const { added } = await inquirer.prompt([
+        {
+          type: "input",
+          name: "added",
+          message: "Keywords to add (comma-separated):",
+        },
+      ]);
+      added
+        .split(",")
+        .map((tag) => tag.trim().toLowerCase())
+        .filter((tag) => tag && !keywords.includes(tag))
+        .forEach((tag) => keywords.push(tag));
+    } else if (action === "remove") {
+      const { removed } = await inquirer.prompt([
+        {
+          type: "checkbox",
+          name: "removed",
+          message: "Select the keywords to remove:",
+          choices: keywords,
+          pageSize: 15,
+        },
+      ]);
+      keywords = keywords.filter((tag) => !removed.includes(tag));
+    } else if (keywords.length > 1) {
+      const answers = await inquirer.prompt([
+        {
+          type: "list",
+          name: "tag",
+          message: "Select the keyword to move:",
+          choices: keywords,
+          pageSize: 15,
+        },
+        {
+          type: "number",
+          name: "position",
+          message: `New position (1-${keywords.length}):`,
+          validate: (value) =>
+            Number.isInteger(value) && value >= 1 && value <= keywords.length
+              ? true
+              : `Please enter a number between 1 and ${keywords.length}`,
+        },
+      ]);
+      keywords = keywords.filter((tag) => tag !== answers.tag);
+      keywords.splice(answers.position - 1, 0, answers.tag);
+    }
+  }
+}
+
+// Pick the agency categories of one file from the bundled lists
+async function editCategories(categories) {
+  const edited = { ...categories };
+  for (const agencyId of getCategoryAgencies()) {
+    const list = categoryLists[agencyId];
+    const choices = list.categories.map(({ id }) => ({
+      name: describeCategory(list, id),
+      value: id,
+    }));
+    const { ids } = await inquirer.prompt([
+      list.maxCategories === 1
+        ? {
+            type: "list",
+            name: "ids",
+            message: `${list.name} category:`,
+            choices,
+            default: (edited[agencyId] || [])[0],
+            pageSize: 15,
+          }
+        : {
+            type: "checkbox",
+            name: "ids",
+            message: `${list.name} categories (up to ${list.maxCategories}):`,
+            choices,
+            default: edited[agencyId] || [],
+            pageSize: 15,
+            validate: (selected) =>
+              selected.length <= list.maxCategories
+                ? true
+                : `Select at most ${list.maxCategories} categories`,
+          },
+    ]);
+    const selected = [].concat(ids);
+    if (selected.length > 0) {
+      edited[agencyId] = selected;
+    } else {
+      delete edited[agencyId];
+    }
+  }
+  return edited;
+}
+
+// Write a reviewed file and apply the originals policy
+async function writeReviewedFile(journal, file, metadata) {
+  const imagePath = path.join(journal.settings.inputDir, file);
+  const outputPath = path.join(journal.settings.outputDir, file);
+  const success = await writeMetadataToImage(imagePath, outputPath, metadata);
+  if (success) {
+    await handleOriginalImage(imagePath, outputPath, metadata, file);
+  }
+  updateJobFile(journal, file, {
+    state: "written",
+    metadata: { ...metadata, reviewed: true },
+    error: null,
+  });
+}
+
+// Work through the files of a job that are waiting for review
+async function reviewJob(journal) {
+  const { aiModel, model, profile } = journal.settings;
+  const files = Object.keys(journal.files).filter(
+    (file) => journal.files[file].state === "review",
+  );
+  const result = { accepted: 0, remaining: files.length };
+  let stopped = false;
+
+  // The provider is only needed to regenerate or translate
+  const getReviewProvider = () => {
+    const provider = getProvider(aiModel);
+    const apiKey = getProviderApiKey(provider);
+    if (provider.apiKeyField && !apiKey) {
+      throw new Error(
+        `Please set the ${provider.shortName} API key before regenerating or translating.`,
+      );
+    }
+    return { provider, apiKey };
+  };
+
+  for (const [i, file] of files.entries()) {
+    let metadata = journal.files[file].metadata;
+    let decided = false;
+
+    while (!decided) {
+      displayReviewItem(file, metadata, i + 1, files.length, profile);
+      const { action } = await inquirer.prompt([
+        {
+          type: "list",
+          name: "action",
+          message: "What would you like to do?",
+          choices: [
+            { name: "✅ Accept and write", value: "accept" },
+            { name: "✏️ Edit title", value: "editTitle" },
+            ...(metadata.description
+              ? [{ name: "📝 Edit description", value: "editDescription" }]
+              : []),
+            { name: "🏷️ Edit keywords", value: "editKeywords" },
+            ...(getCategoryAgencies().length > 0
+              ? [{ name: "🗂️ Edit agency categories", value: "editCategories" }]
+              : []),
+            { name: "🔁 Regenerate with AI", value: "regenerate" },
+            {
+              name: getLicense(metadata).editorial
+                ? "📰 Submit as commercial"
+                : "📰 Submit as editorial",
+              value: "toggleEditorial",
+            },
+            { name: "🪪 Attach release files", value: "editReleases" },
+            { name: "⏭️ Skip (keep in the review queue)", value: "skip" },
+            { name: "⏹️ Stop reviewing", value: "stop" },
+          ],
+        },
+      ]);
+
+      try {
+        switch (action) {
+          case "accept":
+            metadata = validateAndFixMetadata(metadata, profile, {
+              rank: false,
+              stripSymbols: false,
+            });
+            if (
+              !metadata.translations &&
+              (profile.translations || []).length > 0
+            ) {
+              const { provider, apiKey } = getReviewProvider();
+              metadata = await addTranslations(
+                metadata,
+                provider,
+                apiKey,
+                profile,
+                model,
+                path.join(journal.settings.inputDir, file),
+              );
+            }
+            await writeReviewedFile(journal, file, metadata);
+            console.log(chalk.green(`✓ Accepted and written: ${file}`));
+            result.accepted++;
+            result.remaining--;
+            decided = true;
+            break;
+          case "editTitle":
+            metadata = {
+              ...metadata,
+              title: await editText("Title:", metadata.title),
+              translations: undefined,
+            };
+            break;
+          case "editDescription":
+            metadata = {
+              ...metadata,
+              description: await editText("Description:", metadata.description),
+              translations: undefined,
+            };
+            break;
+          case "editKeywords":
+            metadata = {
+              ...metadata,
+              tags: await editKeywords(metadata.tags),
+              translations: undefined,
+            };
+            break;
+          case "editCategories":
+            metadata = {
+              ...metadata,
+              categories: await editCategories(metadata.categories || {}),
+            };
+            break;
+          case "toggleEditorial":
+            metadata = {
+              ...metadata,
+              editorial: !getLicense(metadata).editorial,
+            };
+            break;
+          case "editReleases": {
+            const { releases } = await inquirer.prompt([
+              {
+                type: "input",
+                name: "releases",
+                message:
+                  "Release file names (comma-separated, empty to remove them):",
+                default: (metadata.releases || []).join(", "),
+              },
+            ]);
+            metadata = {
+              ...metadata,
+              releases: parsePatternList(releases),
+            };
+            break;
+          }
+          case "regenerate": {
+            const { provider, apiKey } = getReviewProvider();
+            const imagePath = path.join(journal.settings.inputDir, file);
+            const existing = await readExistingMetadata(imagePath);
+            const regenerated = await addTranslations(
+              mergeMetadata(
+                existing,
+                await generateMetadata(
+                  imagePath,
+                  provider,
+                  apiKey,
+                  profile,
+                  model,
+                  {
+                    existing,
+                    folders: config.folderContext ? getFolderHints(file) : [],
+                  },
+                ),
+                journal.settings.mergeStrategy || config.mergeStrategy,
+                profile,
+              ),
+              provider,
+              apiKey,
+              profile,
+              model,
+              imagePath,
+            );
+            // Releases and the editorial choice belong to the image, not the reply
+            metadata = {
+              ...regenerated,
+              releases: metadata.releases,
+              editorial: metadata.editorial,
+            };
+            break;
+          }
+          case "skip":
+            decided = true;
+            break;
+          case "stop":
+            updateJobFile(journal, file, { metadata });
+            stopped = true;
+            decided = true;
+            break;
+        }
+      } catch (error) {
+        console.error(chalk.red(`✗ ${error.message}`));
+      }
+
+      // Keep edits in the journal so they survive a crash or a later session
+      if (!decided) {
+        updateJobFile(journal, file, { metadata });
+      }
+    }
+    if (stopped) break;
+  }
+
+  if (result.accepted > 0 && config.exportAgencies.length > 0) {
+    console.log("");
+    await exportJobCsvs(journal, config.exportAgencies);
+  }
+  return result;
+}
+
+// Display the result of a review session
+function displayReviewSummary(result) {
+  console.log(
+    chalk.cyan.bold(`\n─────────────── REVIEW SUMMARY ────────────────`),
+  );
+  console.log(
+    chalk.cyan(`Accepted and written: ${chalk.green(result.accepted)} images`),
+  );
+  console.log(
+    chalk.cyan(
+      `Still awaiting review: ${chalk.yellow(result.remaining)} images`,
+    ),
+  );
+  console.log(
+    chalk.cyan.bold(`───────────────────────────────────────────────\n`),
+  );
+}
+
+// Review queued metadata from the main menu
+async function reviewQueueMenu() {
+  console.clear();
+  const jobs = listReviewJobs();
+
+  if (jobs.length === 0) {
+    console.log(
+      chalk.yellow.bold(`\n─────────────── NOTHING TO REVIEW ────────────────`),
+    );
+    console.log(chalk.yellow(`No generated metadata is waiting for review.`));
+    console.log(
+      chalk.yellow.bold(`──────────────────────────────────────────────────\n`),
+    );
+  } else {
+    const { jobId } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "jobId",
+        message: "Select the job to review:",
+        choices: [
+          ...jobs.map((journal) => ({
+            name: describeJob(journal),
+            value: journal.id,
+          })),
+          { name: "⬅️ Back to main menu", value: "back" },
+        ],
+      },
+    ]);
+
+    if (jobId === "back") return;
+
+    console.clear();
+    displayReviewSummary(await reviewJob(loadJobJournal(jobId)));
+  }
+
+  await inquirer.prompt([
+    {
+      type: "input",
+      name: "continue",
+      message: chalk.yellow("Press Enter to return to the main menu..."),
+    },
+  ]);
+}
+
+// Watch the input folder from the main menu until Ctrl+C
+async function watchFolderMenu() {
+  console.clear();
+  const { inputDir, outputDir, aiModel } = config;
+  const provider = getProvider(aiModel);
+  const apiKey = getProviderApiKey(provider);
+
+  let problem = null;
+  if (!directoryExists(inputDir) || !outputDir) {
+    problem = `Please set an existing input directory and an output directory first.`;
+  } else if (provider.apiKeyField && !apiKey) {
+    problem = `Please set the ${provider.shortName} API key before watching.`;
+  }
+  if (problem) {
+    console.log(chalk.red.bold(`\n─────────────── ERROR ────────────────`));
+    console.log(chalk.red(problem));
+    console.log(chalk.red.bold(`───────────────────────────────────────\n`));
+  } else {
+    const { confirm } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "confirm",
+        message: `Watch ${chalk.yellow(inputDir)} and write tagged files to ${chalk.green(outputDir)}? Press Ctrl+C to stop watching.`,
+        default: true,
+      },
+    ]);
+    if (!confirm) return;
+
+    const { stats, processingTime } = await watchInputFolder(
+      inputDir,
+      outputDir,
+      aiModel,
+      apiKey,
+      getActiveProfile(),
+    );
+    displayProcessingSummary(stats, processingTime, getProviderModel(provider));
+  }
+
+  await inquirer.prompt([
+    {
+      type: "input",
+      name: "continue",
+      message: chalk.yellow("Press Enter to return to the main menu..."),
+    },
+  ]);
+}
+
+// Apply edited sidecars from the main menu
+async function applySidecarsMenu() {
+  console.clear();
+  const { inputDir, outputDir } = config;
+  if (!directoryExists(inputDir) || !outputDir) {
+    console.log(chalk.red.bold(`\n─────────────── ERROR ────────────────`));
+    console.log(
+      chalk.red(
+        `Please set an existing input directory and an output directory first.`,
+      ),
+    );
+    console.log(chalk.red.bold(`───────────────────────────────────────\n`));
+  } else {
+    const { confirm } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "confirm",
+        message: `Embed the ${describeSidecars()} for ${chalk.yellow(inputDir)} into images in ${chalk.green(outputDir)}?`,
+        default: true,
+      },
+    ]);
+    if (!confirm) return;
+
+    const startTime = new Date();
+    const stats = await applySidecars(inputDir, outputDir);
+    displayApplySummary(stats, (new Date() - startTime) / 1000);
+  }
+
+  await inquirer.prompt([
+    {
+      type: "input",
+      name: "continue",
+      message: chalk.yellow("Press Enter to return to the main menu..."),
+    },
+  ]);
+}
+
+// Resume an unfinished job
+async function resumeJob() {
+  console.clear();
+  const jobs = listUnfinishedJobs();
+
+  if (jobs.length === 0) {
+    console.log(
+      chalk.yellow.bold(`\n─────────────── NOTHING TO RESUME ────────────────`),
+    );
+    console.log(chalk.yellow(`All recorded jobs are complete.`));
+    console.log(
+      chalk.yellow.bold(`──────────────────────────────────────────────────\n`),
+    );
+    await inquirer.prompt([
+      {
+        type: "input",
+        name: "continue",
+        message: chalk.yellow("Press Enter to return to the main menu..."),
+      },
+    ]);
+    return;
+  }
+
+  const { jobId } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "jobId",
+      message: "Select the job to resume:",
+      choices: [
+        ...jobs.map((journal) => ({
+          name: describeJob(journal),
+          value: journal.id,
+        })),
+        { name: "⬅️ Back to main menu", value: "back" },
+      ],
+    },
+  ]);
+
+  if (jobId === "back") return;
+
+  console.clear();
+  const { stats, processingTime, model } = await runJobJournal(
+    loadJobJournal(jobId),
+  );
+
+  // Clear screen for summary
+  console.clear();
+  displayProcessingSummary(stats, processingTime, model);
+
+  // Pause before returning to main menu
+  await inquirer.prompt([
+    {
+      type: "input",
+      name: "continue",
+      message: chalk.yellow("Press Enter to return to the main menu..."),
+    },
+  ]);
+}
+
+// Export agency CSVs for a finished job
+async function exportCsvMenu() {
+  console.clear();
+  const jobs = listJobJournals().filter(
+    (journal) => countJobStates(journal).written > 0,
+  );
+
+  if (jobs.length === 0) {
+    console.log(
+      chalk.yellow.bold(`\n─────────────── NOTHING TO EXPORT ────────────────`),
+    );
+    console.log(chalk.yellow(`No job has written any images yet.`));
+    console.log(
+      chalk.yellow.bold(`──────────────────────────────────────────────────\n`),
+    );
+  } else {
+    const answers = await inquirer.prompt([
+      {
+        type: "list",
+        name: "jobId",
+        message: "Select the job to export:",
+        choices: jobs.map((journal) => ({
+          name: describeJob(journal),
+          value: journal.id,
+        })),
+      },
+      {
+        type: "checkbox",
+        name: "agencyIds",
+        message: "Select the agencies to export CSVs for:",
+        choices: Object.entries(agencies).map(([id, agency]) => ({
+          name: agency.name,
+          value: id,
+          checked: config.exportAgencies.includes(id),
+        })),
+        validate: (value) =>
+          value.length > 0 ? true : "Please select at least one agency",
+      },
     ]);
 
-    if (tryAgain === "change") {
-      await setInputDirectory();
-      await processImages(); // Retry with new folder
-      return;
-    } else if (tryAgain === "exit") {
-      await exiftool.end();
-      process.exit(0);
-    } else {
-      return; // back to main menu
-    }
+    console.log(
+      chalk.cyan.bold(`\n─────────────── AGENCY CSV EXPORT ────────────────`),
+    );
+    await exportJobCsvs(loadJobJournal(answers.jobId), answers.agencyIds);
+    console.log(
+      chalk.cyan.bold(`──────────────────────────────────────────────────\n`),
+    );
+  }
+
+  await inquirer.prompt([
+    {
+      type: "input",
+      name: "continue",
+      message: chalk.yellow("Press Enter to return to the main menu..."),
+    },
+  ]);
+}
+
+// Describe a recorded run in one line
+function describeRun(run) {
+  const cost = run.cost > 0 ? `, ${formatCost(run.cost)}` : "";
+  return `${run.startedAt.slice(0, 16).replace("T", " ")} ${run.provider}/${run.model} [${run.mode}] — ${run.successes}/${run.files} ok, ${run.failures} failed, ${formatTime(run.durationSeconds)}, ${run.tokens} tokens${cost}`;
+}
+
+// Display the recorded runs, newest first
+function displayRunHistory(history, limit = 20) {
+  console.log(
+    chalk.cyan.bold(`\n─────────────── RUN HISTORY ────────────────`),
+  );
+  if (history.length === 0) {
+    console.log(chalk.yellow(`No runs recorded yet.`));
+  }
+  history
+    .slice(-limit)
+    .reverse()
+    .forEach((run) => console.log(chalk.cyan(describeRun(run))));
+  if (history.length > limit) {
+    console.log(chalk.gray(`(${history.length - limit} older runs not shown)`));
+  }
+  console.log(
+    chalk.cyan.bold(`────────────────────────────────────────────\n`),
+  );
+}
+
+// Display the model comparison
+function displayModelComparison(history) {
+  console.log(
+    chalk.cyan.bold(`\n─────────────── MODEL COMPARISON ────────────────`),
+  );
+  const models = summarizeHistoryByModel(history);
+  if (models.length === 0) {
+    console.log(chalk.yellow(`No runs recorded yet.`));
+  }
+  models.forEach((model) => {
+    console.log(
+      chalk.magenta.bold(
+        `${model.provider}/${model.model} (${model.runs} runs, ${model.images} images)`,
+      ),
+    );
+    console.log(
+      chalk.cyan(
+        `  Avg title length: ${chalk.yellow(model.avgTitleLength)} chars, avg keywords: ${chalk.yellow(model.avgKeywords)}`,
+      ),
+    );
+    console.log(
+      chalk.cyan(
+        `  Failure rate: ${chalk.yellow(`${model.failureRate}%`)}, tokens per image: ${chalk.yellow(model.tokensPerImage)}, cost per image: ${chalk.yellow(formatCost(model.costPerImage))}`,
+      ),
+    );
+  });
+  console.log(
+    chalk.cyan.bold(`─────────────────────────────────────────────────\n`),
+  );
+}
+
+// History & Stats Menu
+async function showHistoryMenu() {
+  const answers = await inquirer.prompt([
+    {
+      type: "list",
+      name: "action",
+      message: "History & Stats:",
+      choices: [
+        { name: "📜 List past runs", value: "listRuns" },
+        { name: "⚖️ Compare models", value: "compareModels" },
+        { name: "💾 Export history (JSON or CSV)", value: "exportHistory" },
+        { name: "⬅️ Back to main menu", value: "back" },
+      ],
+    },
+  ]);
+
+  switch (answers.action) {
+    case "listRuns":
+      displayRunHistory(loadRunHistory());
+      break;
+    case "compareModels":
+      displayModelComparison(loadRunHistory());
+      break;
+    case "exportHistory": {
+      const { filePath } = await inquirer.prompt([
+        {
+          type: "input",
+          name: "filePath",
+          message: "Export to (.json or .csv):",
+          default: "image-metadata-history.csv",
+          validate: (value) =>
+            /\.(json|csv)$/i.test(value)
+              ? true
+              : "Please enter a path ending in .json or .csv",
+        },
+      ]);
+      const exported = await exportRunHistory(filePath);
+      exported.forEach((exportPath) =>
+        console.log(
+          chalk.green(`✓ History exported: ${chalk.white(exportPath)}`),
+        ),
+      );
+      break;
+    }
+    case "back":
+      return; // Return to main menu
+  }
+
+  // Show this menu again
+  await showHistoryMenu();
+}
+
+// Input/Output Settings Menu
+async function showInputOutputMenu() {
+  const answers = await inquirer.prompt([
+    {
+      type: "list",
+      name: "action",
+      message: "Input/Output Settings:",
+      choices: [
+        { name: "📁 Set input directory", value: "setInputDir" },
+        { name: "📁 Set output directory", value: "setOutputDir" },
+        { name: "🗂️ Set originals policy", value: "setOriginalsPolicy" },
+        {
+          name: "🔎 Set subfolder scanning and patterns",
+          value: "setScanning",
+        },
+        { name: "📄 Set sidecar format and folder", value: "setSidecars" },
+        { name: "🎞️ Set RAW and video handling", value: "setMedia" },
+        { name: "⬅️ Back to main menu", value: "back" },
+      ],
+    },
+  ]);
+
+  switch (answers.action) {
+    case "setInputDir":
+      await setInputDirectory();
+      break;
+    case "setOutputDir":
+      await setOutputDirectory();
+      break;
+    case "setOriginalsPolicy":
+      await setOriginalsPolicy();
+      break;
+    case "setScanning":
+      await setScanning();
+      break;
+    case "setSidecars":
+      await setSidecarSettings();
+      break;
+    case "setMedia":
+      await setMediaSettings();
+      break;
+    case "back":
+      return; // Return to main menu
+  }
+
+  // Show this menu again
+  await showInputOutputMenu();
+}
+
+// Metadata Settings Menu
+async function showMetadataMenu() {
+  const answers = await inquirer.prompt([
+    {
+      type: "list",
+      name: "action",
+      message: "Metadata Settings:",
+      choices: [
+        { name: "🗂️ Select metadata profile", value: "selectProfile" },
+        { name: "✏️ Create or edit custom profile", value: "editProfile" },
+        { name: "💬 Select prompt template", value: "selectPromptTemplate" },
+        { name: "👁️ Preview prompt", value: "previewPrompt" },
+        {
+          name: "🌐 Set metadata language and translations",
+          value: "setLanguage",
+        },
+        { name: "📏 Set title length", value: "setTitleLength" },
+        { name: "🏷️ Set tag count", value: "setTagCount" },
+        { name: "⏱️ Throttling settings", value: "setThrottling" },
+        { name: "📤 Agency CSVs to export", value: "setExportAgencies" },
+        { name: "©️ Set rights metadata", value: "setRightsMetadata" },
+        { name: "🗺️ Edit metadata field mapping", value: "editFieldMapping" },
+        { name: "🧬 Existing metadata handling", value: "setMergeStrategy" },
+        { name: "🧹 Keyword cleanup", value: "setKeywordCleanup" },
+        { name: "📝 Toggle review before writing", value: "toggleReview" },
+        { name: "🔢 Toggle token usage display", value: "toggleTokenDisplay" },
+        { name: "⬅️ Back to main menu", value: "back" },
+      ],
+    },
+  ]);
+
+  switch (answers.action) {
+    case "selectProfile":
+      await selectProfile();
+      break;
+    case "editProfile":
+      await editCustomProfile();
+      break;
+    case "selectPromptTemplate":
+      await selectPromptTemplate();
+      break;
+    case "setLanguage":
+      await setLanguageSettings();
+      break;
+    case "previewPrompt":
+      await previewPromptMenu();
+      break;
+    case "setTitleLength":
+      await setTitleLength();
+      break;
+    case "setTagCount":
+      await setTagCount();
+      break;
+    case "setThrottling":
+      await setThrottling();
+      break;
+    case "setExportAgencies":
+      await setExportAgencies();
+      break;
+    case "setRightsMetadata":
+      await setRightsMetadata();
+      break;
+    case "editFieldMapping":
+      await editFieldMapping();
+      break;
+    case "setMergeStrategy":
+      await setMergeStrategy();
+      break;
+    case "setKeywordCleanup":
+      await setKeywordCleanup();
+      break;
+    case "toggleReview":
+      await toggleReview();
+      break;
+    case "toggleTokenDisplay":
+      await toggleTokenDisplay();
+      break;
+    case "back":
+      return; // Return to main menu
+  }
+
+  // Show this menu again
+  await showMetadataMenu();
+}
+
+// AI Settings Menu
+async function showAiMenu() {
+  const answers = await inquirer.prompt([
+    {
+      type: "list",
+      name: "action",
+      message: "AI Provider Settings:",
+      choices: [
+        { name: "🔑 Set API keys", value: "setApiKeys" },
+        { name: "🤖 Select AI to Use", value: "selectAiModel" },
+        { name: "📊 Select Model to Use", value: "selectSpecificModel" },
+        { name: "🖥️ Set local model endpoint", value: "setLocalEndpoint" },
+        { name: "💰 Budget cap and model price", value: "setBudget" },
+        { name: "⬅️ Back to main menu", value: "back" },
+      ],
+    },
+  ]);
+
+  switch (answers.action) {
+    case "setApiKeys":
+      await setApiKeys();
+      break;
+    case "selectAiModel":
+      await selectAiModel();
+      break;
+    case "selectSpecificModel":
+      await selectSpecificModel();
+      break;
+    case "setLocalEndpoint":
+      await setLocalEndpoint();
+      break;
+    case "setBudget":
+      await setBudget();
+      break;
+    case "back":
+      return; // Return to main menu
+  }
+
+  // Show this menu again
+  await showAiMenu();
+}
+
+// Exit codes for non-interactive runs
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURE = 1;
+const EXIT_PARTIAL = 2;
+
+// Exit code of a processing run: failure when the run could not start or no
+// image got through, partial when some failed or the budget cap stopped it
+function getRunExitCode(stats) {
+  if (stats.fatal) return EXIT_FAILURE;
+  if (stats.budgetReached) return EXIT_PARTIAL;
+  if (stats.total > 0 && stats.success === 0 && stats.skipped === 0) {
+    return EXIT_FAILURE;
+  }
+  return stats.failed === 0 ? EXIT_SUCCESS : EXIT_PARTIAL;
+}
+
+// Flags accepted on the command line
+const cliOptions = {
+  input: { type: "string", short: "i" },
+  output: { type: "string", short: "o" },
+  provider: { type: "string", short: "p" },
+  model: { type: "string", short: "m" },
+  "max-title-chars": { type: "string" },
+  "max-tags": { type: "string" },
+  profile: { type: "string" },
+  delay: { type: "string" },
+  concurrency: { type: "string" },
+  rpm: { type: "string" },
+  retries: { type: "string" },
+  originals: { type: "string" },
+  "archive-dir": { type: "string" },
+  "dry-run": { type: "boolean" },
+  review: { type: "boolean" },
+  "sidecar-format": { type: "string" },
+  "sidecar-dir": { type: "string" },
+  merge: { type: "string" },
+  force: { type: "boolean" },
+  budget: { type: "string" },
+  recursive: { type: "boolean", short: "r" },
+  include: { type: "string" },
+  exclude: { type: "string" },
+  "folder-context": { type: "boolean" },
+  template: { type: "string" },
+  language: { type: "string" },
+  translate: { type: "string" },
+  agencies: { type: "string" },
+  json: { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+// Display command line usage
+function displayUsage() {
+  console.log(`Usage: image-metadata-cli [command] [options]
+
+Run without arguments to open the interactive menu.
+
+Commands:
+  process                  Process all images in the input directory
+  generate                 Generate metadata into sidecars without touching the images
+  apply                    Embed the sidecars of the input directory into the output images
+  watch                    Keep processing new files dropped into the input directory (Ctrl+C to stop)
+  config get [key]         Show the saved configuration or a single value
+  config set <key> <value> Save a configuration value
+  models                   List the models available for each AI provider
+  profiles                 List the metadata profiles
+  inspect <file>           Show the metadata embedded in an image
+  prompt [file]            Preview the prompt sent for a file (or a sample file name)
+  jobs                     List recorded processing jobs
+  resume [job-id]          Resume a job (defaults to the latest unfinished one)
+  review [job-id]          Review queued metadata (defaults to the latest job with a queue)
+  releases <file> [names]  Attach release file names to a file of the latest job that has it (no names or none removes them)
+  export [job-id]          Export agency CSVs for a job (defaults to the latest)
+  history                  List past runs
+  history models           Compare models across past runs
+  history export <file>    Export the run history as .json or .csv
+
+Options (override the saved configuration for this run only):
+  -i, --input <dir>        Input directory
+  -o, --output <dir>       Output directory
+  -p, --provider <name>    AI provider (${Object.keys(providers).join(", ")})
+  -m, --model <name>       Model for the selected provider
+      --profile <id>       Metadata profile (default, ${Object.keys(metadataProfiles).join(", ")} or a custom id)
+      --max-title-chars <n> Override the profile's maximum title length
+      --max-tags <n>       Override the profile's maximum keyword count
+      --template <name>    Prompt template (${Object.keys(listPromptTemplates()).join(", ")})
+      --language <name>    Language metadata is generated in (e.g. English, German)
+      --translate <codes>  Also translate the metadata into these languages (e.g. de,ja,es)
+      --delay <seconds>    Minimum delay between requests (0 to disable)
+      --concurrency <n>    Images processed in parallel
+      --rpm <n>            Requests per minute for the provider (0 for no limit)
+      --retries <n>        Retries for rate-limited or failed requests
+      --originals <policy> What to do with originals (${originalsPolicies.map((policy) => policy.value).join(", ")})
+      --archive-dir <dir>  Where originals are moved with --originals move
+      --dry-run            Generate metadata without writing, moving or deleting files
+      --review             Queue generated metadata for review instead of writing it
+      --sidecar-format <f> Sidecar format for generate (${sidecarFormats.map((format) => format.value).join(", ")})
+      --sidecar-dir <dir>  Where sidecars are written and read (default: next to the images)
+      --merge <strategy>   Combine with existing metadata (${mergeStrategies.map((strategy) => strategy.value).join(", ")})
+      --force              Also process files that are already fully tagged
+      --budget <usd>       Stop starting new images once the run has cost this much (0 for no cap)
+  -r, --recursive          Also process images in subfolders, mirrored under the output directory
+      --include <globs>    Only process files matching these comma-separated patterns
+      --exclude <globs>    Leave out files and folders matching these patterns
+      --folder-context     Pass subfolder names to the AI as hints
+      --agencies <list>    Agency CSVs to export (${Object.keys(agencies).join(", ")})
+      --json               Print machine-readable output (config, models, inspect, jobs, history)
+  -h, --help               Show this help
+
+Exit codes: ${EXIT_SUCCESS} success, ${EXIT_FAILURE} failure, ${EXIT_PARTIAL} some images failed or the budget cap was reached`);
+}
+
+// Parse a numeric flag or config value
+function parseNumber(name, value, min) {
+  const number = Number(value);
+  if (value === "" || !Number.isFinite(number) || number < min) {
+    throw new Error(`Invalid value for ${name}: "${value}"`);
+  }
+  return number;
+}
+
+// Apply command line flags to the in-memory configuration (not saved)
+function applyCliOverrides(values) {
+  const overrides = {};
+  if (values.input !== undefined) overrides.inputDir = values.input;
+  if (values.output !== undefined) overrides.outputDir = values.output;
+  if (values.provider !== undefined) {
+    overrides.aiModel = getProvider(values.provider).id;
+  }
+  if (values.model !== undefined) {
+    const provider = getProvider(overrides.aiModel || config.aiModel);
+    overrides[provider.modelField] = parseModelName(provider, values.model);
+  }
+  if (values.profile !== undefined) {
+    resolveMetadataProfile(values.profile);
+    overrides.profile = values.profile;
+  }
+  if (values.delay !== undefined) {
+    overrides.delay = parseNumber("--delay", values.delay, 0);
+  }
+  if (values.concurrency !== undefined) {
+    overrides.concurrency = parseNumber("--concurrency", values.concurrency, 1);
+  }
+  if (values.rpm !== undefined) {
+    const provider = getProvider(overrides.aiModel || config.aiModel);
+    overrides[provider.requestsPerMinuteField] = parseNumber(
+      "--rpm",
+      values.rpm,
+      0,
+    );
+  }
+  if (values.retries !== undefined) {
+    overrides.maxRetries = parseNumber("--retries", values.retries, 0);
+  }
+  if (values.originals !== undefined) {
+    if (
+      !originalsPolicies.some((policy) => policy.value === values.originals)
+    ) {
+      throw new Error(
+        `Invalid value for --originals: "${values.originals}" (expected one of: ${originalsPolicies.map((policy) => policy.value).join(", ")})`,
+      );
+    }
+    overrides.originalsPolicy = values.originals;
+  }
+  if (values["archive-dir"] !== undefined) {
+    overrides.archiveDir = values["archive-dir"];
+  }
+  if (values.agencies !== undefined) {
+    overrides.exportAgencies = parseAgencyList(values.agencies);
+  }
+  if (values.review !== undefined) {
+    overrides.reviewBeforeWriting = values.review;
+  }
+  if (values["sidecar-format"] !== undefined) {
+    overrides.sidecarFormat = parseSidecarFormat(values["sidecar-format"]);
+  }
+  if (values["sidecar-dir"] !== undefined) {
+    overrides.sidecarDir = values["sidecar-dir"];
+  }
+  if (values.merge !== undefined) {
+    overrides.mergeStrategy = parseMergeStrategy(values.merge);
+  }
+  if (values.force) {
+    overrides.skipTagged = false;
+  }
+  if (values.budget !== undefined) {
+    overrides.budgetLimit = parseNumber("--budget", values.budget, 0);
+  }
+  if (values.recursive !== undefined) {
+    overrides.recursive = values.recursive;
+  }
+  if (values.include !== undefined) {
+    overrides.includePatterns = parsePatternList(values.include);
+  }
+  if (values.exclude !== undefined) {
+    overrides.excludePatterns = parsePatternList(values.exclude);
+  }
+  if (values["folder-context"] !== undefined) {
+    overrides.folderContext = values["folder-context"];
+  }
+
+  config = { ...config, ...overrides };
+}
+
+// Parse a comma-separated list of glob patterns
+function parsePatternList(value) {
+  return value
+    .split(",")
+    .map((pattern) => pattern.trim())
+    .filter(Boolean);
+}
+
+// Check a merge strategy name
+function parseMergeStrategy(value) {
+  if (!mergeStrategies.some((strategy) => strategy.value === value)) {
+    throw new Error(
+      `Invalid merge strategy "${value}" (expected one of: ${mergeStrategies.map((strategy) => strategy.value).join(", ")})`,
+    );
+  }
+  return value;
+}
+
+// Check a RAW or video metadata target
+function parseMetadataTarget(key, value) {
+  if (!metadataTargets.some((target) => target.value === value)) {
+    throw new Error(
+      `Invalid value for ${key}: "${value}" (expected one of: ${metadataTargets.map((target) => target.value).join(", ")})`,
+    );
+  }
+  return value;
+}
+
+// Check a model name for a provider: cloud models must be listed or have a price
+// in modelPrices, local servers accept any model they have installed
+function parseModelName(provider, value) {
+  if (
+    provider.apiKeyField &&
+    !provider.models.some((model) => model.value === value) &&
+    !config.modelPrices[value]
+  ) {
+    throw new Error(
+      `Unknown ${provider.shortName} model "${value}" (expected one of: ${provider.models.map((model) => model.value).join(", ")}, or add its price under modelPrices)`,
+    );
+  }
+  return value;
+}
+
+// Check a sidecar format name
+function parseSidecarFormat(value) {
+  if (!sidecarFormats.some((format) => format.value === value)) {
+    throw new Error(
+      `Invalid sidecar format "${value}" (expected one of: ${sidecarFormats.map((format) => format.value).join(", ")})`,
+    );
+  }
+  return value;
+}
+
+// Parse a comma-separated list of language codes such as "de, ja, pt-BR"
+function parseLanguageList(value) {
+  const languages = parsePatternList(value);
+  languages.forEach((language) => {
+    if (
+      !/^[a-z]{2,3}(-[A-Za-z]{2,4})?$/.test(language) ||
+      getLanguageName(language) === language
+    ) {
+      throw new Error(
+        `Unknown language code "${language}" (expected codes such as de, ja, es or pt-BR)`,
+      );
+    }
+  });
+  return [...new Set(languages)];
+}
+
+// Check a list of language codes typed into a prompt
+function validateLanguageList(value) {
+  try {
+    parseLanguageList(value);
+    return true;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// Parse a synonym map given as a JSON object or as "variant=preferred" pairs
+function parseSynonymMap(value) {
+  const entries = value.trim().startsWith("{")
+    ? Object.entries(parseJsonObject("keywordSynonyms", value))
+    : parsePatternList(value).map((pair) => pair.split("="));
+  return Object.fromEntries(
+    entries.map(([from, to, ...rest]) => {
+      if (
+        typeof from !== "string" ||
+        typeof to !== "string" ||
+        rest.length > 0 ||
+        !from.trim() ||
+        !to.trim()
+      ) {
+        throw new Error(
+          `Invalid synonym "${[from, to, ...rest].join("=")}" (expected variant=preferred)`,
+        );
+      }
+      return [from.trim().toLowerCase(), to.trim().toLowerCase()];
+    }),
+  );
+}
+
+// Parse a comma-separated list of agency ids
+function parseAgencyList(value) {
+  const agencyIds = value
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+  agencyIds.forEach((id) => {
+    if (!agencies[id]) {
+      throw new Error(
+        `Unknown agency "${id}" (expected one of: ${Object.keys(agencies).join(", ")})`,
+      );
+    }
+  });
+  return agencyIds;
+}
+
+// Convert a config value given as text to the type of its default
+function parseConfigValue(key, value) {
+  if (key === "aiModel") {
+    return getProvider(value).id;
+  }
+  if (key === "profile") {
+    resolveMetadataProfile(value);
+    return value;
+  }
+  const modelProvider = Object.values(providers).find(
+    (provider) => provider.modelField === key,
+  );
+  if (modelProvider) {
+    return parseModelName(modelProvider, value);
+  }
+  if (key === "exportAgencies") {
+    return parseAgencyList(value);
+  }
+  if (key === "translations") {
+    return parseLanguageList(value);
+  }
+  if (key === "keywordSynonyms") {
+    return parseSynonymMap(value);
+  }
+  if (Array.isArray(defaultConfig[key])) {
+    return parsePatternList(value);
+  }
+  if (key === "sidecarFormat") {
+    return parseSidecarFormat(value);
+  }
+  if (key === "mergeStrategy") {
+    return parseMergeStrategy(value);
+  }
+  if (key === "promptTemplate") {
+    return loadPromptTemplate(value).name;
+  }
+  if (key === "rawMetadataTarget" || key === "videoMetadataTarget") {
+    return parseMetadataTarget(key, value);
+  }
+  switch (typeof defaultConfig[key]) {
+    case "number":
+      return parseNumber(key, value, 0);
+    case "boolean":
+      if (value !== "true" && value !== "false") {
+        throw new Error(`Invalid value for ${key}: expected true or false`);
+      }
+      return value === "true";
+    case "object":
+      return parseJsonObject(key, value);
+    default:
+      return value;
+  }
+}
+
+// Parse a JSON object value such as fieldMapping from the command line
+function parseJsonObject(key, value) {
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch {
+    throw new Error(`Invalid value for ${key}: expected a JSON object`);
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new Error(`Invalid value for ${key}: expected a JSON object`);
+  }
+  return parsed;
+}
+
+// Format a configuration value for plain text output
+function formatConfigValue(value) {
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+// Hide secrets when printing configuration values
+function maskConfigValue(key, value) {
+  if (/ApiKey$/.test(key) && value) {
+    return `${"*".repeat(Math.max(value.length - 4, 0))}${value.slice(-4)}`;
   }
+  return value;
+}
 
-  // Confirm processing
-  const confirmAnswers = await inquirer.prompt([
-    {
-      type: "confirm",
-      name: "proceed",
-      message: `Ready to process all images from ${chalk.yellow(inputDir)} to ${chalk.green(outputDir)}?`,
-      default: true,
-    },
-  ]);
+// Run the process command without any prompts (generate writes sidecars only,
+// watch keeps processing new files until stopped)
+async function runProcessCommand(
+  values,
+  { sidecars = false, watch = false } = {},
+) {
+  const { inputDir, outputDir, aiModel } = config;
 
-  if (confirmAnswers.proceed) {
-    console.clear();
-    console.log(
-      chalk.blue.bold(`\n─────────────── PROCESSING STARTED ────────────────`),
-    );
-    console.log(chalk.blue(`Processing images from: ${chalk.green(inputDir)}`));
-    console.log(chalk.blue(`Output directory: ${chalk.green(outputDir)}`));
-    console.log(
-      chalk.blue(
-        `Using AI: ${chalk.magenta(aiModel === "gpt" ? config.gptModel : config.geminiModel)}`,
+  if (!directoryExists(inputDir)) {
+    console.error(chalk.red(`Input directory does not exist: ${inputDir}`));
+    return EXIT_FAILURE;
+  }
+  if (!outputDir) {
+    console.error(chalk.red("Output directory is not set"));
+    return EXIT_FAILURE;
+  }
+
+  const provider = getProvider(aiModel);
+  const apiKey = getProviderApiKey(provider);
+  if (provider.apiKeyField && !apiKey) {
+    console.error(
+      chalk.red(
+        `Please set the ${provider.shortName} API key before processing.`,
       ),
     );
-    console.log(
-      chalk.blue.bold(`───────────────────────────────────────────────────\n`),
-    );
+    return EXIT_FAILURE;
+  }
 
-    const startTime = new Date();
+  const profile = getCliProfile(values);
 
-    const stats = await processAllImages(
+  if (watch) {
+    const { stats, processingTime } = await watchInputFolder(
       inputDir,
       outputDir,
       aiModel,
       apiKey,
-      maxTitleChars,
-      maxTags,
+      profile,
     );
+    displayProcessingSummary(stats, processingTime, getProviderModel(provider));
+    return EXIT_SUCCESS;
+  }
 
-    const endTime = new Date();
-    const processingTime = (endTime - startTime) / 1000; // Convert to seconds
+  const startTime = new Date();
+  const stats = await processAllImages(
+    inputDir,
+    outputDir,
+    aiModel,
+    apiKey,
+    profile,
+    {
+      dryRun: Boolean(values["dry-run"]),
+      review: config.reviewBeforeWriting,
+      sidecars,
+    },
+  );
+  const processingTime = (new Date() - startTime) / 1000;
 
-    // Clear screen for summary
-    console.clear();
+  displayProcessingSummary(stats, processingTime, getProviderModel(provider));
 
-    console.log(
-      chalk.cyan.bold(`\n─────────────── PROCESSING SUMMARY ────────────────`),
+  return getRunExitCode(stats);
+}
+
+// Run the apply command
+async function runApplyCommand(values) {
+  const { inputDir, outputDir } = config;
+  if (!directoryExists(inputDir)) {
+    console.error(chalk.red(`Input directory does not exist: ${inputDir}`));
+    return EXIT_FAILURE;
+  }
+  if (!outputDir) {
+    console.error(chalk.red("Output directory is not set"));
+    return EXIT_FAILURE;
+  }
+
+  const startTime = new Date();
+  const stats = await applySidecars(inputDir, outputDir, {
+    dryRun: Boolean(values["dry-run"]),
+  });
+  displayApplySummary(stats, (new Date() - startTime) / 1000);
+
+  if (stats.failed === 0) return EXIT_SUCCESS;
+  return stats.success === 0 ? EXIT_FAILURE : EXIT_PARTIAL;
+}
+
+// Run the config get/set command
+function runConfigCommand(args, values) {
+  const [action, key, value] = args;
+
+  if (key !== undefined && !(key in defaultConfig)) {
+    throw new Error(
+      `Unknown config key "${key}" (expected one of: ${Object.keys(defaultConfig).join(", ")})`,
     );
+  }
 
-    function formatTime(seconds) {
-      const hrs = String(Math.floor(seconds / 3600)).padStart(2, "0");
-      const mins = String(Math.floor((seconds % 3600) / 60)).padStart(2, "0");
-      const secs = String(Math.floor(seconds % 60)).padStart(2, "0");
-      return `${hrs} hours, ${mins} mins, ${secs} secs`;
+  if (action === "get") {
+    const keys = key === undefined ? Object.keys(defaultConfig) : [key];
+    const result = Object.fromEntries(
+      keys.map((name) => [name, maskConfigValue(name, config[name])]),
+    );
+    if (values.json) {
+      console.log(JSON.stringify(key === undefined ? result : result[key]));
+    } else if (key !== undefined) {
+      console.log(formatConfigValue(result[key]));
+    } else {
+      Object.entries(result).forEach(([name, current]) => {
+        console.log(
+          `${chalk.cyan(name)}: ${chalk.green(formatConfigValue(current))}`,
+        );
+      });
     }
+    return EXIT_SUCCESS;
+  }
 
+  if (action === "set") {
+    if (key === undefined || value === undefined) {
+      throw new Error("Usage: config set <key> <value>");
+    }
+    config[key] = parseConfigValue(key, value);
+    saveConfig();
     console.log(
       chalk.cyan(
-        `Total processing time: ${chalk.yellow(formatTime(processingTime))}`,
+        `${key} set to: ${chalk.green(formatConfigValue(maskConfigValue(key, config[key])))}`,
       ),
     );
+    return EXIT_SUCCESS;
+  }
+
+  throw new Error("Usage: config get [key] | config set <key> <value>");
+}
+
+// Run the models command
+function runModelsCommand(values) {
+  const selectedProviders = values.provider
+    ? [getProvider(values.provider)]
+    : Object.values(providers);
+
+  if (values.json) {
     console.log(
-      chalk.cyan(
-        `AI Model used: ${chalk.magenta(aiModel === "gpt" ? config.gptModel : config.geminiModel)}`,
+      JSON.stringify(
+        Object.fromEntries(
+          selectedProviders.map((provider) => [
+            provider.id,
+            provider.models.map((model) => model.value),
+          ]),
+        ),
       ),
     );
-    console.log(chalk.cyan(`Total images: ${chalk.white(stats.total)}`));
+    return EXIT_SUCCESS;
+  }
+
+  selectedProviders.forEach((provider) => {
+    const selected = getProviderModel(provider);
+    console.log(chalk.cyan.bold(`${provider.id} (${provider.name})`));
+    provider.models.forEach((model) => {
+      const marker = model.value === selected ? chalk.green("*") : " ";
+      const price = getModelPrice(provider, model.value);
+      const priceText = price
+        ? `, $${price.input}/$${price.output} per 1M tokens`
+        : "";
+      const schemaText = model.structuredOutput ? ", structured output" : "";
+      console.log(
+        `  ${marker} ${model.value} ${chalk.gray(`(${model.name}${priceText}${schemaText})`)}`,
+      );
+    });
+  });
+  return EXIT_SUCCESS;
+}
+
+// Run the profiles command
+function runProfilesCommand(values) {
+  const profiles = listMetadataProfiles();
+
+  if (values.json) {
+    console.log(JSON.stringify(profiles, null, 2));
+    return EXIT_SUCCESS;
+  }
+
+  Object.values(profiles).forEach((profile) => {
+    const marker = profile.id === config.profile ? chalk.green("*") : " ";
     console.log(
-      chalk.cyan(
-        `Successfully processed: ${chalk.green(stats.success)} images`,
-      ),
+      `${marker} ${profile.id} ${chalk.gray(describeProfile(profile))}`,
     );
-    if (stats.failed > 0) {
+    if (profile.forbiddenWords.length > 0) {
       console.log(
-        chalk.cyan(`Failed to process: ${chalk.red(stats.failed)} images`),
+        chalk.gray(`    forbidden: ${profile.forbiddenWords.join(", ")}`),
       );
     }
+  });
+  return EXIT_SUCCESS;
+}
+
+// Run the jobs command
+function runJobsCommand(values) {
+  const jobs = listJobJournals();
 
+  if (values.json) {
     console.log(
-      chalk.cyan.bold(`───────────────────────────────────────────────────\n`),
+      JSON.stringify(
+        jobs.map((journal) => ({
+          id: journal.id,
+          createdAt: journal.createdAt,
+          status: journal.status,
+          settings: journal.settings,
+          counts: countJobStates(journal),
+        })),
+        null,
+        2,
+      ),
     );
+    return EXIT_SUCCESS;
+  }
 
-    // Pause before returning to main menu
-    await inquirer.prompt([
-      {
-        type: "input",
-        name: "continue",
-        message: chalk.yellow("Press Enter to return to the main menu..."),
-      },
-    ]);
+  if (jobs.length === 0) {
+    console.log(chalk.yellow("No jobs recorded yet."));
   }
+  jobs.forEach((journal) => console.log(describeJob(journal)));
+  return EXIT_SUCCESS;
 }
 
-// Input/Output Settings Menu
-async function showInputOutputMenu() {
-  const answers = await inquirer.prompt([
-    {
-      type: "list",
-      name: "action",
-      message: "Input/Output Settings:",
-      choices: [
-        { name: "📁 Set input directory", value: "setInputDir" },
-        { name: "📁 Set output directory", value: "setOutputDir" },
-        { name: "⬅️ Back to main menu", value: "back" },
-      ],
-    },
-  ]);
+// Run the resume command
+async function runResumeCommand(args, values) {
+  const [jobId] = args;
+  let journal;
+  if (jobId) {
+    journal = loadJobJournal(jobId);
+  } else {
+    [journal] = listUnfinishedJobs();
+    if (!journal) {
+      console.log(chalk.yellow("No unfinished jobs to resume."));
+      return EXIT_SUCCESS;
+    }
+  }
 
-  switch (answers.action) {
-    case "setInputDir":
-      await setInputDirectory();
-      break;
-    case "setOutputDir":
-      await setOutputDirectory();
-      break;
-    case "back":
-      return; // Return to main menu
+  const { stats, processingTime, model } = await runJobJournal(journal, {
+    dryRun: Boolean(values["dry-run"]),
+  });
+  displayProcessingSummary(stats, processingTime, model);
+
+  return getRunExitCode(stats);
+}
+
+// Run the review command
+async function runReviewCommand(args) {
+  if (!process.stdin.isTTY) {
+    throw new Error("review needs an interactive terminal");
   }
 
-  // Show this menu again
-  await showInputOutputMenu();
+  const [jobId] = args;
+  let journal;
+  if (jobId) {
+    journal = loadJobJournal(jobId);
+  } else {
+    [journal] = listReviewJobs();
+    if (!journal) {
+      console.log(chalk.yellow("No metadata is waiting for review."));
+      return EXIT_SUCCESS;
+    }
+  }
+
+  displayReviewSummary(await reviewJob(journal));
+  return EXIT_SUCCESS;
 }
 
-// Metadata Settings Menu
-async function showMetadataMenu() {
-  const answers = await inquirer.prompt([
-    {
-      type: "list",
-      name: "action",
-      message: "Metadata Settings:",
-      choices: [
-        { name: "📏 Set max title characters", value: "setMaxTitleChars" },
-        { name: "🏷️ Set max tags", value: "setMaxTags" },
-        { name: "⏱️ Set delay between requests", value: "setDelay" },
-        { name: "🔢 Toggle token usage display", value: "toggleTokenDisplay" },
-        { name: "⬅️ Back to main menu", value: "back" },
-      ],
-    },
-  ]);
+// Attach release file names to a file of the latest job that has it
+function runReleasesCommand(args) {
+  const [file, ...names] = args;
+  if (!file) {
+    throw new Error("Usage: releases <file> [release-file ...]");
+  }
 
-  switch (answers.action) {
-    case "setMaxTitleChars":
-      await setMaxTitleChars();
-      break;
-    case "setMaxTags":
-      await setMaxTags();
-      break;
-    case "setDelay":
-      await setDelay();
-      break;
-    case "toggleTokenDisplay":
-      await toggleTokenDisplay();
-      break;
-    case "back":
-      return; // Return to main menu
+  // Files are recorded relative to the input directory; a bare name also matches
+  const relativeFile = file.split(path.sep).join("/");
+  const match = listJobJournals()
+    .map((journal) => ({
+      journal,
+      key: Object.keys(journal.files).find(
+        (key) => key === relativeFile || path.basename(key) === relativeFile,
+      ),
+    }))
+    .find(({ key }) => key);
+  if (!match) {
+    throw new Error(`No job has a file named ${file}`);
   }
 
-  // Show this menu again
-  await showMetadataMenu();
+  const { journal, key } = match;
+  const entry = journal.files[key];
+  if (!entry.metadata) {
+    throw new Error(`${key} has no metadata yet in ${journal.id}`);
+  }
+  // No names, or "none", removes the releases
+  const releases =
+    names.length === 1 && names[0].toLowerCase() === "none"
+      ? []
+      : parsePatternList(names.join(","));
+  updateJobFile(journal, key, {
+    metadata: { ...entry.metadata, releases },
+  });
+  console.log(
+    chalk.green(
+      releases.length > 0
+        ? `✓ ${key} (${journal.id}): ${releases.join(", ")}`
+        : `✓ Releases removed from ${key} (${journal.id})`,
+    ),
+  );
+  console.log(
+    chalk.cyan(
+      `License: ${describeLicense({ ...entry.metadata, releases })}. Run export to update the agency CSVs.`,
+    ),
+  );
+  return EXIT_SUCCESS;
 }
 
-// AI Settings Menu
-async function showAiMenu() {
-  const answers = await inquirer.prompt([
-    {
-      type: "list",
-      name: "action",
-      message: "AI Provider Settings:",
-      choices: [
-        { name: "🔑 Set API keys", value: "setApiKeys" },
-        { name: "🤖 Select AI to Use", value: "selectAiModel" },
-        { name: "📊 Select Model to Use", value: "selectSpecificModel" },
-        { name: "⬅️ Back to main menu", value: "back" },
-      ],
-    },
-  ]);
+// Run the export command
+async function runExportCommand(args, values) {
+  const [jobId] = args;
+  const journal = jobId ? loadJobJournal(jobId) : listJobJournals()[0];
+  if (!journal) {
+    throw new Error("No jobs recorded yet");
+  }
 
-  switch (answers.action) {
-    case "setApiKeys":
-      await setApiKeys();
-      break;
-    case "selectAiModel":
-      await selectAiModel();
-      break;
-    case "selectSpecificModel":
-      await selectSpecificModel();
-      break;
-    case "back":
-      return; // Return to main menu
+  const agencyIds = values.agencies
+    ? parseAgencyList(values.agencies)
+    : config.exportAgencies.length > 0
+      ? config.exportAgencies
+      : Object.keys(agencies);
+  await exportJobCsvs(journal, agencyIds);
+  return EXIT_SUCCESS;
+}
+
+// Run the history command
+async function runHistoryCommand(args, values) {
+  const [action, filePath] = args;
+  const history = loadRunHistory();
+
+  if (action === "export") {
+    if (!filePath || !/\.(json|csv)$/i.test(filePath)) {
+      throw new Error("Usage: history export <file.json|file.csv>");
+    }
+    const exported = await exportRunHistory(filePath);
+    exported.forEach((exportPath) =>
+      console.log(
+        chalk.green(`✓ History exported: ${chalk.white(exportPath)}`),
+      ),
+    );
+    return EXIT_SUCCESS;
   }
 
-  // Show this menu again
-  await showAiMenu();
+  if (action === "models") {
+    if (values.json) {
+      console.log(JSON.stringify(summarizeHistoryByModel(history), null, 2));
+    } else {
+      displayModelComparison(history);
+    }
+    return EXIT_SUCCESS;
+  }
+
+  if (action !== undefined) {
+    throw new Error("Usage: history [models | export <file>]");
+  }
+  if (values.json) {
+    console.log(JSON.stringify(history, null, 2));
+  } else {
+    displayRunHistory(history, Infinity);
+  }
+  return EXIT_SUCCESS;
+}
+
+// Run the inspect command
+async function runInspectCommand(args, values) {
+  const [file] = args;
+  if (!file) {
+    throw new Error("Usage: inspect <file>");
+  }
+  if (!fs.existsSync(file)) {
+    throw new Error(`File does not exist: ${file}`);
+  }
+
+  const tags = await exiftool.read(file);
+  const keywords = [].concat(tags.Keywords || []);
+  const metadata = {
+    file,
+    title: tags.Title || tags.ObjectName || "",
+    description: tags.Description || tags["Caption-Abstract"] || "",
+    keywords,
+    creator: [].concat(tags.Creator || tags.Artist || []).join(", "),
+    copyright: tags.Rights || tags.CopyrightNotice || tags.Copyright || "",
+  };
+
+  if (values.json) {
+    console.log(JSON.stringify(metadata, null, 2));
+    return EXIT_SUCCESS;
+  }
+
+  console.log(chalk.cyan(`File:        ${chalk.white(metadata.file)}`));
+  console.log(
+    chalk.cyan(
+      `Title:       ${chalk.green(metadata.title)} (${metadata.title.length} chars)`,
+    ),
+  );
+  console.log(chalk.cyan(`Description: ${chalk.green(metadata.description)}`));
+  if (metadata.creator) {
+    console.log(chalk.cyan(`Creator:     ${chalk.green(metadata.creator)}`));
+  }
+  if (metadata.copyright) {
+    console.log(chalk.cyan(`Copyright:   ${chalk.green(metadata.copyright)}`));
+  }
+  console.log(
+    chalk.cyan(`Keywords:    ${chalk.green(keywords.length)} keywords`),
+  );
+  if (keywords.length > 0) {
+    console.log(chalk.cyan(`             ${keywords.join(", ")}`));
+  }
+  return EXIT_SUCCESS;
+}
+
+// Get the selected profile with the limit, template and language flags applied on top
+function getCliProfile(values) {
+  const profile = getActiveProfile();
+  if (values["max-title-chars"] !== undefined) {
+    profile.titleMaxChars = parseNumber(
+      "--max-title-chars",
+      values["max-title-chars"],
+      1,
+    );
+    profile.titleMinChars = Math.min(
+      profile.titleMinChars,
+      profile.titleMaxChars,
+    );
+  }
+  if (values["max-tags"] !== undefined) {
+    profile.keywordsMax = parseNumber("--max-tags", values["max-tags"], 1);
+    profile.keywordsMin = Math.min(profile.keywordsMin, profile.keywordsMax);
+  }
+  if (values.template !== undefined) {
+    loadPromptTemplate(values.template);
+    profile.promptTemplate = values.template;
+  }
+  if (values.language !== undefined) {
+    if (!values.language.trim()) {
+      throw new Error("Invalid value for --language: expected a language name");
+    }
+    profile.language = values.language.trim();
+  }
+  if (values.translate !== undefined) {
+    profile.translations = parseLanguageList(values.translate);
+  }
+  return profile;
+}
+
+// Print the rendered prompt for a file, or for a sample file name
+async function runPromptCommand(args, values) {
+  const [file] = args;
+  if (file && !fs.existsSync(file)) {
+    throw new Error(`File does not exist: ${file}`);
+  }
+  await previewPrompt(getCliProfile(values), file || null);
+  return EXIT_SUCCESS;
+}
+
+// Run a command given on the command line and return its exit code
+async function runCli(argv) {
+  try {
+    const { values, positionals } = parseArgs({
+      args: argv,
+      options: cliOptions,
+      allowPositionals: true,
+    });
+    const [command, ...args] = positionals;
+
+    if (values.help || command === "help") {
+      displayUsage();
+      return EXIT_SUCCESS;
+    }
+
+    switch (command) {
+      case "process":
+        applyCliOverrides(values);
+        return await runProcessCommand(values);
+      case "generate":
+        applyCliOverrides(values);
+        return await runProcessCommand(values, { sidecars: true });
+      case "watch":
+        applyCliOverrides(values);
+        return await runProcessCommand(values, { watch: true });
+      case "apply":
+        applyCliOverrides(values);
+        return await runApplyCommand(values);
+      case "config":
+        return runConfigCommand(args, values);
+      case "models":
+        return runModelsCommand(values);
+      case "profiles":
+        return runProfilesCommand(values);
+      case "inspect":
+        return await runInspectCommand(args, values);
+      case "prompt":
+        applyCliOverrides(values);
+        return await runPromptCommand(args, values);
+      case "jobs":
+        return runJobsCommand(values);
+      case "resume":
+        applyCliOverrides(values);
+        return await runResumeCommand(args, values);
+      case "review":
+        applyCliOverrides(values);
+        return await runReviewCommand(args);
+      case "releases":
+        return runReleasesCommand(args);
+      case "export":
+        return await runExportCommand(args, values);
+      case "history":
+        return await runHistoryCommand(args, values);
+      default:
+        displayUsage();
+        return EXIT_FAILURE;
+    }
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    return EXIT_FAILURE;
+  }
 }
 
 // Start the application
-showMainMenu();
+const cliArgs = process.argv.slice(2);
+if (cliArgs.length === 0) {
+  displayWelcome();
+  showMainMenu();
+} else {
+  const exitCode = await runCli(cliArgs);
+  await exiftool.end();
+  process.exit(exitCode);
+}
@@ -0,0 +1,36 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { makeWorkDir, runCli } from "./helpers.js";
+
+test("config set rejects unknown providers, models and profiles", async () => {
+  const cwd = makeWorkDir({ aiModel: "gpt" });
+  try {
+    for (const [key, value] of [
+      ["aiModel", "gtp"],
+      ["gptModel", "gpt-99"],
+      ["profile", "nope"],
+    ]) {
+      const result = await runCli(cwd, ["config", "set", key, value]);
+      assert.equal(result.status, 1, `${key}: ${result.stdout}`);
+      assert.match(result.stderr, /Unknown/);
+    }
+
+    // Local servers take any installed model
+    const local = await runCli(cwd, [
+      "config",
+      "set",
+      "localModel",
+      "bakllava",
+    ]);
+    assert.equal(local.status, 0, local.stdout + local.stderr);
+    const saved = JSON.parse(
+      fs.readFileSync(path.join(cwd, "image-metadata-config.json"), "utf8"),
+    );
+    assert.equal(saved.aiModel, "gpt");
+    assert.equal(saved.localModel, "bakllava");
+  } finally {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+});
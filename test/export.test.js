@@ -0,0 +1,67 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import {
+  makeWorkDir,
+  runCli,
+  sampleReply,
+  startStubServer,
+  writeImage,
+} from "./helpers.js";
+
+// Lines of the CSV an agency export wrote to the output directory
+function readCsv(cwd, agency) {
+  const file = fs
+    .readdirSync(path.join(cwd, "out"))
+    .find((name) => name.endsWith(`-${agency}.csv`));
+  return fs
+    .readFileSync(path.join(cwd, "out", file), "utf8")
+    .trim()
+    .split("\n");
+}
+
+test("agency CSVs carry the description and the mature content flag", async () => {
+  const stub = await startStubServer([
+    {
+      ...sampleReply,
+      flags: {
+        people: false,
+        recognizable_faces: false,
+        logos_or_brands: false,
+        property: false,
+        editorial_suggested: false,
+        mature: true,
+      },
+    },
+  ]);
+  const cwd = makeWorkDir({
+    aiModel: "local",
+    localApiType: "ollama",
+    localBaseUrl: stub.url,
+    localModel: "llava",
+    delay: 0,
+    correctionRetries: 0,
+    exportAgencies: ["getty", "shutterstock"],
+  });
+  try {
+    writeImage(cwd, "in");
+
+    const result = await runCli(cwd, ["process", "-i", "in", "-o", "out"]);
+    assert.equal(result.status, 0, result.stdout + result.stderr);
+
+    const getty = readCsv(cwd, "getty");
+    assert.equal(
+      getty[0],
+      "file name,created date,description,country,brief code,title,keywords",
+    );
+    assert.ok(getty[1].startsWith(`photo.jpg,,${sampleReply.description},`));
+
+    const shutterstock = readCsv(cwd, "shutterstock");
+    assert.ok(shutterstock[0].endsWith("Editorial,Mature content"));
+    assert.ok(shutterstock[1].endsWith(",no,yes"));
+  } finally {
+    await stub.close();
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,31 @@
+// Preloaded with --import by the Gemini tests: answers Gemini API requests with
+// the GEMINI_REPLY text and appends their bodies to the GEMINI_REQUESTS file
+import fs from "fs";
+
+const realFetch = globalThis.fetch;
+
+globalThis.fetch = async (url, options) => {
+  if (!String(url).startsWith("https://generativelanguage.googleapis.com/")) {
+    return realFetch(url, options);
+  }
+  fs.appendFileSync(process.env.GEMINI_REQUESTS, `${options.body}\n`);
+  return new Response(
+    JSON.stringify({
+      candidates: [
+        {
+          content: {
+            role: "model",
+            parts: [{ text: process.env.GEMINI_REPLY }],
+          },
+          finishReason: "STOP",
+        },
+      ],
+      usageMetadata: {
+        promptTokenCount: 100,
+        candidatesTokenCount: 50,
+        totalTokenCount: 150,
+      },
+    }),
+    { status: 200, headers: { "Content-Type": "application/json" } },
+  );
+};
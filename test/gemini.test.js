@@ -0,0 +1,46 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { makeWorkDir, runCli, sampleReply, writeImage } from "./helpers.js";
+
+const fakeGemini = pathToFileURL(
+  path.join(path.dirname(fileURLToPath(import.meta.url)), "fake-gemini.js"),
+).href;
+
+test("the Gemini response schema marks category ids as enums", async () => {
+  const cwd = makeWorkDir({
+    aiModel: "gemini",
+    geminiApiKey: "test",
+    geminiModel: "gemini-2.5-flash",
+    delay: 0,
+  });
+  try {
+    writeImage(cwd, "in");
+    const requestsFile = path.join(cwd, "requests.jsonl");
+
+    const result = await runCli(cwd, ["process", "-i", "in", "-o", "out"], {
+      NODE_OPTIONS: `${process.env.NODE_OPTIONS || ""} --import ${fakeGemini}`,
+      GEMINI_REPLY: JSON.stringify(sampleReply),
+      GEMINI_REQUESTS: requestsFile,
+    });
+    assert.equal(result.status, 0, result.stdout + result.stderr);
+
+    const [request] = fs
+      .readFileSync(requestsFile, "utf8")
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+    const { categories } = request.generationConfig.responseSchema.properties;
+    const lists = Object.values(categories.properties);
+    assert.ok(lists.length > 0);
+    lists.forEach(({ items }) => {
+      assert.equal(items.type, "STRING");
+      assert.equal(items.format, "enum");
+      assert.ok(items.enum.length > 0);
+    });
+  } finally {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,53 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import {
+  makeWorkDir,
+  runCli,
+  sampleReply,
+  startStubServer,
+  writeImage,
+} from "./helpers.js";
+
+// Process one image with an OpenAI model pointed at a stub server and return
+// the chat request it sent
+async function requestFor(gptModel) {
+  const stub = await startStubServer([sampleReply]);
+  const cwd = makeWorkDir({
+    aiModel: "gpt",
+    gptApiKey: "test",
+    gptModel,
+    delay: 0,
+  });
+  try {
+    writeImage(cwd, "in");
+    const result = await runCli(cwd, ["process", "-i", "in", "-o", "out"], {
+      OPENAI_BASE_URL: `${stub.url}/v1`,
+    });
+    assert.equal(result.status, 0, result.stdout + result.stderr);
+    assert.equal(stub.requests.length, 1);
+    return stub.requests[0];
+  } finally {
+    await stub.close();
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+}
+
+test("GPT models get max_tokens and sampling settings", async () => {
+  const request = await requestFor("gpt-4.1-mini");
+
+  assert.equal(request.max_tokens, 1000);
+  assert.equal(request.temperature, 0.3);
+  assert.equal(request.max_completion_tokens, undefined);
+});
+
+test("o-series models get max_completion_tokens and no sampling settings", async () => {
+  const request = await requestFor("o4-mini");
+
+  assert.equal(request.model, "o4-mini");
+  assert.ok(request.max_completion_tokens > 0);
+  assert.equal(request.max_tokens, undefined);
+  assert.equal(request.temperature, undefined);
+  assert.equal(request.top_p, undefined);
+  assert.equal(request.response_format.type, "json_schema");
+});
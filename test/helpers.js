@@ -0,0 +1,197 @@
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+
+const cliPath = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "index.js",
+);
+
+// A 16x16 red JPEG, small enough to keep inline
+const jpegBytes = Buffer.from(
+  "/9j/2wBDABALDA4MChAODQ4SERATGCgaGBYWGDEjJR0oOjM9PDkzODdASFxOQERXRTc4UG1RV19iZ2hnPk1xeXBkeFxlZ2P/2wBDARESEhgVGC8aGi9jQjhCY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2P/wAARCAAQABADASIAAhEBAxEB/8QAFQABAQAAAAAAAAAAAAAAAAAAAAX/xAAUEAEAAAAAAAAAAAAAAAAAAAAA/8QAFQEBAQAAAAAAAAAAAAAAAAAABAb/xAAUEQEAAAAAAAAAAAAAAAAAAAAA/9oADAMBAAIRAxEAPwCOACqH/9k=",
+  "base64",
+);
+
+// A reply that meets the default profile's rules
+export const sampleReply = {
+  title:
+    "Single red tulip blooming in a quiet spring garden under soft morning light with fresh green foliage and tiny dew drops for seasonal floral background design",
+  description: "A red tulip in a garden in spring",
+  tags: [
+    "tulip",
+    "flower",
+    "red",
+    "spring",
+    "garden",
+    "bloom",
+    "petal",
+    "nature",
+    "floral",
+    "green",
+    "leaf",
+    "dew",
+    "morning",
+    "light",
+    "fresh",
+    "season",
+    "plant",
+    "botany",
+    "blossom",
+    "stem",
+    "color",
+    "beauty",
+    "outdoor",
+    "park",
+    "macro",
+    "closeup",
+    "background",
+    "design",
+    "vibrant",
+    "serene",
+    "growth",
+    "april",
+    "easter",
+    "flora",
+    "horticulture",
+    "single",
+    "bright",
+    "delicate",
+    "soft",
+    "bokeh",
+    "sunlight",
+    "wallpaper",
+    "decoration",
+    "sunny",
+    "vivid",
+  ],
+};
+
+// Create a scratch directory to run the CLI in, with its own configuration
+export function makeWorkDir(config = {}) {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), "image-metadata-cli-"));
+  fs.writeFileSync(
+    path.join(cwd, "image-metadata-config.json"),
+    JSON.stringify(config),
+  );
+  return cwd;
+}
+
+// Write a small JPEG into a directory of the scratch directory
+export function writeImage(cwd, dir, file = "photo.jpg") {
+  fs.mkdirSync(path.join(cwd, dir), { recursive: true });
+  fs.writeFileSync(path.join(cwd, dir, file), jpegBytes);
+}
+
+// Run the CLI in a scratch directory and resolve with its exit status and output
+export function runCli(cwd, args, env = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [cliPath, ...args], {
+      cwd,
+      env: { ...process.env, ...env },
+    });
+    let stdout = "";
+    let stderr = "";
+    child.stdout.on("data", (chunk) => (stdout += chunk));
+    child.stderr.on("data", (chunk) => (stderr += chunk));
+    const timer = setTimeout(() => child.kill(), 60000);
+    child.on("error", reject);
+    child.on("close", (status) => {
+      clearTimeout(timer);
+      resolve({ status, stdout, stderr });
+    });
+  });
+}
+
+// Start a stub Ollama and OpenAI-compatible server answering each chat request
+// with the next reply (the last one repeats); replies that are not strings are
+// sent as JSON
+export async function startStubServer(replies) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push(JSON.parse(body));
+      const reply = replies[Math.min(requests.length, replies.length) - 1];
+      const content = typeof reply === "string" ? reply : JSON.stringify(reply);
+      res.writeHead(200, { "Content-Type": "application/json" });
+      if (req.url.endsWith("/chat/completions")) {
+        res.end(
+          JSON.stringify({
+            id: "chatcmpl-test",
+            object: "chat.completion",
+            model: requests[requests.length - 1].model,
+            choices: [
+              {
+                index: 0,
+                message: { role: "assistant", content },
+                finish_reason: "stop",
+              },
+            ],
+            usage: {
+              prompt_tokens: 100,
+              completion_tokens: 50,
+              total_tokens: 150,
+            },
+          }),
+        );
+        return;
+      }
+      res.end(
+        JSON.stringify({
+          model: "llava",
+          message: { role: "assistant", content },
+          done: true,
+          prompt_eval_count: 100,
+          eval_count: 50,
+        }),
+      );
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+// Process one image with the local provider pointed at a stub server, and return
+// the run, the requests the server received and the metadata embedded in the output
+export async function processWithStub(replies, config = {}) {
+  const stub = await startStubServer(replies);
+  const cwd = makeWorkDir({
+    aiModel: "local",
+    localApiType: "ollama",
+    localBaseUrl: stub.url,
+    localModel: "llava",
+    delay: 0,
+    ...config,
+  });
+  try {
+    writeImage(cwd, "in");
+    const result = await runCli(cwd, ["process", "-i", "in", "-o", "out"]);
+    const inspected =
+      result.status === 0
+        ? await runCli(cwd, ["inspect", "out/photo.jpg", "--json"])
+        : null;
+    return {
+      result,
+      requests: stub.requests,
+      metadata: inspected && JSON.parse(inspected.stdout),
+    };
+  } finally {
+    await stub.close();
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+}
+
+// Text of the user message of a request the stub server received
+export function userContent(request) {
+  return request.messages.find((message) => message.role === "user").content;
+}
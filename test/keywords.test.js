@@ -0,0 +1,87 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { processWithStub, sampleReply } from "./helpers.js";
+
+test("keyword cleanup drops blacklisted, trademark, plural and long keywords", async () => {
+  const { result, metadata } = await processWithStub(
+    [
+      {
+        ...sampleReply,
+        tags: [
+          ...sampleReply.tags,
+          "tulips",
+          "acme",
+          "nike",
+          "red tulip flower head",
+        ],
+      },
+    ],
+    {
+      keywordBlacklist: ["wallpaper"],
+      trademarks: ["acme"],
+      keywordSynonyms: { blossom: "bloom" },
+      maxKeywordWords: 2,
+      correctionRetries: 0,
+    },
+  );
+  assert.equal(result.status, 0, result.stdout + result.stderr);
+
+  const { keywords } = metadata;
+  [
+    "wallpaper",
+    "acme",
+    "nike",
+    "tulips",
+    "blossom",
+    "red tulip flower head",
+  ].forEach((keyword) => assert.ok(!keywords.includes(keyword), keyword));
+  ["tulip", "bloom", "flower"].forEach((keyword) =>
+    assert.ok(keywords.includes(keyword), keyword),
+  );
+  assert.equal(new Set(keywords).size, keywords.length);
+});
+
+test("singular words ending in s are not taken for plurals", async () => {
+  const { result, metadata } = await processWithStub(
+    [
+      {
+        ...sampleReply,
+        tags: [
+          ...sampleReply.tags.slice(0, 40),
+          "new",
+          "news",
+          "lens",
+          "lenses",
+          "christmas",
+        ],
+      },
+    ],
+    { correctionRetries: 0 },
+  );
+  assert.equal(result.status, 0, result.stdout + result.stderr);
+
+  const { keywords } = metadata;
+  ["new", "news", "lens", "christmas"].forEach((keyword) =>
+    assert.ok(keywords.includes(keyword), keyword),
+  );
+  assert.ok(!keywords.includes("lenses"));
+});
+
+test("keywords from the title are ranked first", async () => {
+  // The AI lists the title's subject last
+  const tags = [...sampleReply.tags.filter((tag) => tag !== "tulip"), "tulip"];
+
+  const ranked = await processWithStub([{ ...sampleReply, tags }], {
+    correctionRetries: 0,
+  });
+  assert.equal(ranked.result.status, 0);
+  const { keywords } = ranked.metadata;
+  assert.ok(keywords.indexOf("tulip") < keywords.indexOf("flower"));
+
+  const unranked = await processWithStub([{ ...sampleReply, tags }], {
+    correctionRetries: 0,
+    rankKeywords: false,
+  });
+  assert.equal(unranked.result.status, 0);
+  assert.deepEqual(unranked.metadata.keywords, tags);
+});
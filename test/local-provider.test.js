@@ -0,0 +1,21 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { processWithStub, sampleReply } from "./helpers.js";
+
+test("process tags an image through a local Ollama endpoint", async () => {
+  const { result, requests, metadata } = await processWithStub([sampleReply]);
+  assert.equal(result.status, 0, result.stdout + result.stderr);
+
+  // One request, with the image attached and no API key needed
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].model, "llava");
+  const userMessage = requests[0].messages.find(
+    (message) => message.role === "user",
+  );
+  assert.ok(userMessage.images.length > 0);
+  // Local models are free
+  assert.match(result.stdout, /Cost: \$0\.00 \(run total \$0\.00\)/);
+
+  assert.equal(metadata.title, sampleReply.title);
+  assert.deepEqual([...metadata.keywords].sort(), [...sampleReply.tags].sort());
+});
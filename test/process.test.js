@@ -0,0 +1,86 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import {
+  makeWorkDir,
+  runCli,
+  sampleReply,
+  startStubServer,
+  writeImage,
+} from "./helpers.js";
+
+test("process exits 1 when the job journal cannot be created", async () => {
+  const cwd = makeWorkDir({ aiModel: "gpt", gptApiKey: "test" });
+  try {
+    writeImage(cwd, "in");
+    // A plain file where the journal directory should go
+    fs.writeFileSync(path.join(cwd, "image-metadata-jobs"), "");
+
+    const result = await runCli(cwd, ["process", "-i", "in", "-o", "out"]);
+
+    assert.equal(result.status, 1, result.stdout + result.stderr);
+    assert.match(result.stdout, /Error processing images/);
+  } finally {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+});
+
+test("parallel workers share the requests-per-minute limit instead of the delay", async () => {
+  const stub = await startStubServer([sampleReply]);
+  const cwd = makeWorkDir({
+    aiModel: "local",
+    localApiType: "ollama",
+    localBaseUrl: stub.url,
+    localModel: "llava",
+    localRequestsPerMinute: 600,
+    delay: 30,
+    concurrency: 2,
+    correctionRetries: 0,
+  });
+  try {
+    writeImage(cwd, "in", "one.jpg");
+    writeImage(cwd, "in", "two.jpg");
+
+    const started = Date.now();
+    const result = await runCli(cwd, ["process", "-i", "in", "-o", "out"]);
+
+    assert.equal(result.status, 0, result.stdout + result.stderr);
+    assert.equal(stub.requests.length, 2);
+    // A 30 second delay between the two requests would show here
+    assert.ok(Date.now() - started < 20000);
+  } finally {
+    await stub.close();
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+});
+
+test("the budget cap counts the images in progress", async () => {
+  const stub = await startStubServer([sampleReply]);
+  // 100 prompt and 50 completion tokens cost $0.15 per image at this price
+  const cwd = makeWorkDir({
+    aiModel: "local",
+    localApiType: "ollama",
+    localBaseUrl: stub.url,
+    localModel: "llava",
+    modelPrices: { llava: { input: 1000, output: 1000 } },
+    budgetLimit: 0.2,
+    delay: 0,
+    concurrency: 3,
+    correctionRetries: 0,
+  });
+  try {
+    ["one.jpg", "two.jpg", "three.jpg"].forEach((file) =>
+      writeImage(cwd, "in", file),
+    );
+
+    const result = await runCli(cwd, ["process", "-i", "in", "-o", "out"]);
+
+    assert.equal(result.status, 2, result.stdout + result.stderr);
+    assert.equal(stub.requests.length, 1);
+    assert.match(result.stdout, /Not started \(budget cap reached\): 2 images/);
+  } finally {
+    await stub.close();
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,69 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { makeWorkDir, runCli } from "./helpers.js";
+
+// Write a job journal holding one file with metadata
+function writeJob(cwd, releases) {
+  const createdAt = "2024-01-01T00:00:00.000Z";
+  const journal = {
+    id: "job-test",
+    createdAt,
+    updatedAt: createdAt,
+    status: "completed",
+    settings: { inputDir: "in", outputDir: "out" },
+    files: {
+      "photo.jpg": {
+        state: "written",
+        metadata: { title: "Red tulips", tags: ["tulips"], releases },
+        error: null,
+      },
+    },
+  };
+  fs.mkdirSync(path.join(cwd, "image-metadata-jobs"));
+  fs.writeFileSync(
+    path.join(cwd, "image-metadata-jobs", "job-test.json"),
+    JSON.stringify(journal),
+  );
+}
+
+// Releases recorded for the file in the job journal
+function readReleases(cwd) {
+  const journal = JSON.parse(
+    fs.readFileSync(
+      path.join(cwd, "image-metadata-jobs", "job-test.json"),
+      "utf8",
+    ),
+  );
+  return journal.files["photo.jpg"].metadata.releases;
+}
+
+test("releases attaches release file names", async () => {
+  const cwd = makeWorkDir();
+  try {
+    writeJob(cwd, []);
+
+    const result = await runCli(cwd, ["releases", "photo.jpg", "model.pdf"]);
+
+    assert.equal(result.status, 0, result.stdout + result.stderr);
+    assert.deepEqual(readReleases(cwd), ["model.pdf"]);
+  } finally {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+});
+
+test("releases none removes the attached releases", async () => {
+  const cwd = makeWorkDir();
+  try {
+    writeJob(cwd, ["model.pdf"]);
+
+    const result = await runCli(cwd, ["releases", "photo.jpg", "none"]);
+
+    assert.equal(result.status, 0, result.stdout + result.stderr);
+    assert.deepEqual(readReleases(cwd), []);
+    assert.match(result.stdout, /Releases removed/);
+  } finally {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,38 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { processWithStub, sampleReply, userContent } from "./helpers.js";
+
+test("an unreadable reply gets one repair request", async () => {
+  const { result, requests, metadata } = await processWithStub([
+    "Sure! Here it is: {title: oops",
+    sampleReply,
+  ]);
+  assert.equal(result.status, 0, result.stdout + result.stderr);
+
+  assert.equal(requests.length, 2);
+  assert.match(userContent(requests[1]), /not valid JSON/);
+  assert.equal(metadata.title, sampleReply.title);
+});
+
+test("a reply that breaks the profile rules is sent back for correction", async () => {
+  const { result, requests, metadata } = await processWithStub([
+    { ...sampleReply, title: "Red tulip" },
+    sampleReply,
+  ]);
+  assert.equal(result.status, 0, result.stdout + result.stderr);
+
+  assert.equal(requests.length, 2);
+  assert.match(userContent(requests[1]), /breaks these rules:\n- "title"/);
+  assert.equal(metadata.title, sampleReply.title);
+});
+
+test("corrections stop after correctionRetries and keep the best reply", async () => {
+  const { result, requests, metadata } = await processWithStub(
+    [{ ...sampleReply, title: "Red tulip" }],
+    { correctionRetries: 1 },
+  );
+  assert.equal(result.status, 0, result.stdout + result.stderr);
+
+  assert.equal(requests.length, 2);
+  assert.equal(metadata.title, "Red tulip");
+});
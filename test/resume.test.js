@@ -0,0 +1,50 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import {
+  makeWorkDir,
+  runCli,
+  sampleReply,
+  startStubServer,
+  writeImage,
+} from "./helpers.js";
+
+test("resume --dry-run leaves the job journal and the files alone", async () => {
+  // The first run fails on unreadable replies, the resumed one gets a good reply
+  const stub = await startStubServer(["oops", "oops", sampleReply]);
+  const cwd = makeWorkDir({
+    aiModel: "local",
+    localApiType: "ollama",
+    localBaseUrl: stub.url,
+    localModel: "llava",
+    delay: 0,
+    correctionRetries: 0,
+  });
+  try {
+    writeImage(cwd, "in");
+    const failed = await runCli(cwd, ["process", "-i", "in", "-o", "out"]);
+    assert.equal(failed.status, 1, failed.stdout + failed.stderr);
+    const [journalFile] = fs.readdirSync(path.join(cwd, "image-metadata-jobs"));
+    const journalPath = path.join(cwd, "image-metadata-jobs", journalFile);
+    const before = fs.readFileSync(journalPath, "utf8");
+
+    const result = await runCli(cwd, [
+      "resume",
+      path.basename(journalFile, ".json"),
+      "--dry-run",
+      "--concurrency",
+      "2",
+    ]);
+
+    assert.equal(result.status, 0, result.stdout + result.stderr);
+    assert.equal(stub.requests.length, 3);
+    assert.match(result.stdout, /Dry run: photo\.jpg left untouched/);
+    assert.equal(fs.readFileSync(journalPath, "utf8"), before);
+    assert.ok(!fs.existsSync(path.join(cwd, "out", "photo.jpg")));
+    assert.ok(fs.existsSync(path.join(cwd, "in", "photo.jpg")));
+  } finally {
+    await stub.close();
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+});
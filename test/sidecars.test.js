@@ -0,0 +1,56 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import {
+  makeWorkDir,
+  runCli,
+  sampleReply,
+  startStubServer,
+  writeImage,
+} from "./helpers.js";
+
+["json", "xmp"].forEach((format) => {
+  test(`generate writes photo.${format} and apply embeds it`, async () => {
+    const stub = await startStubServer([sampleReply]);
+    const cwd = makeWorkDir({
+      aiModel: "local",
+      localApiType: "ollama",
+      localBaseUrl: stub.url,
+      localModel: "llava",
+      delay: 0,
+      correctionRetries: 0,
+      originalsPolicy: "keep",
+    });
+    try {
+      writeImage(cwd, "in");
+
+      const generated = await runCli(cwd, [
+        "generate",
+        "-i",
+        "in",
+        "-o",
+        "out",
+        "--sidecar-format",
+        format,
+      ]);
+      assert.equal(generated.status, 0, generated.stdout + generated.stderr);
+      assert.deepEqual(
+        fs.readdirSync(path.join(cwd, "in")).sort(),
+        ["photo.jpg", `photo.${format}`].sort(),
+      );
+
+      const applied = await runCli(cwd, ["apply", "-i", "in", "-o", "out"]);
+      assert.equal(applied.status, 0, applied.stdout + applied.stderr);
+      const inspected = await runCli(cwd, [
+        "inspect",
+        "out/photo.jpg",
+        "--json",
+      ]);
+      assert.equal(JSON.parse(inspected.stdout).title, sampleReply.title);
+    } finally {
+      await stub.close();
+      fs.rmSync(cwd, { recursive: true, force: true });
+    }
+  });
+});
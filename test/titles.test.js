@@ -0,0 +1,67 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { processWithStub, sampleReply, userContent } from "./helpers.js";
+
+test("a title with symbols is sent back for correction", async () => {
+  const { result, requests, metadata } = await processWithStub([
+    {
+      ...sampleReply,
+      title: sampleReply.title.replace(
+        "Single red tulip",
+        "Single red tulip #1 @",
+      ),
+    },
+    sampleReply,
+  ]);
+  assert.equal(result.status, 0, result.stdout + result.stderr);
+
+  assert.equal(requests.length, 2);
+  assert.match(userContent(requests[1]), /breaks these rules:\n- "title"/);
+  assert.equal(metadata.title, sampleReply.title);
+});
+
+test("a title with a repeated word is sent back for correction", async () => {
+  const { requests, metadata } = await processWithStub([
+    {
+      ...sampleReply,
+      title: sampleReply.title.replace("quiet spring", "quiet tulip"),
+    },
+    sampleReply,
+  ]);
+
+  assert.equal(requests.length, 2);
+  assert.match(userContent(requests[1]), /tulip/);
+  assert.equal(metadata.title, sampleReply.title);
+});
+
+test("a long title is trimmed at a word boundary without another request", async () => {
+  const title = `${sampleReply.title} plus several extra words pushing beyond two hundred characters total`;
+  const { result, requests, metadata } = await processWithStub([
+    { ...sampleReply, title },
+  ]);
+  assert.equal(result.status, 0, result.stdout + result.stderr);
+
+  assert.equal(requests.length, 1);
+  assert.ok(metadata.title.length <= 200);
+  assert.ok(title.startsWith(`${metadata.title} `));
+  assert.doesNotMatch(metadata.title, /\b(and|or|of|for|with|plus)$/);
+});
+
+test("symbols left after the last correction are removed", async () => {
+  const { result, requests, metadata } = await processWithStub(
+    [
+      {
+        ...sampleReply,
+        title: sampleReply.title.replace(
+          "Single red tulip",
+          "Single red tulip #1 @ close-up",
+        ),
+      },
+    ],
+    { correctionRetries: 0 },
+  );
+  assert.equal(result.status, 0, result.stdout + result.stderr);
+
+  assert.equal(requests.length, 1);
+  assert.ok(metadata.title.startsWith("Single red tulip 1 close-up blooming"));
+});